@@ -6,6 +6,8 @@ module.exports = function (config) {
 		files: [
 			'bower_components/angular/angular.js',
 			'bower_components/angular-mocks/angular-mocks.js',
+			'bower_components/angular-route/angular-route.js',
+			'tmix-security-core.js',
 			'tmix-security.js',
 			'test/unit.js'
 		],
@@ -17,6 +19,7 @@ module.exports = function (config) {
 		singleRun: true,
 		// setup coverage reports
 		preprocessors: {
+			'tmix-security-core.js': ['coverage'],
 			'tmix-security.js': ['coverage']
 		},
 		reporters: ['progress', 'coverage'],
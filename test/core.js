@@ -0,0 +1,150 @@
+'use strict';
+
+/**
+ * Tests for tmix-security-core.js; these run in Node without AngularJS or
+ * a browser: `node test/core.js` (or `npm run test-core`)
+ */
+var assert = require('assert');
+var tmixSecurityCore = require('../tmix-security-core.js');
+
+/**
+ * Run a test with a new policy after the previous tests, reporting failures
+ * without stopping; a test may return a promise to finish asynchronously
+ * @param {string} description
+ * @param {function} test called with the policy
+ * @returns {undefined}
+ */
+var failures = 0;
+var tests = Promise.resolve();
+var it = function (description, test) {
+	tests = tests.then(function () {
+		return test(tmixSecurityCore.createPolicy());
+	}).then(function () {
+		console.log('ok - ' + description);
+	}, function (err) {
+		failures++;
+		console.log('not ok - ' + description + '\n  ' + err.message);
+	});
+};
+
+// tests
+it('can find queries in permissions objects', function (policy) {
+	var permissions = {GET: {route: [1, 2, 3], other: {deep: true}}, canEdit: ['1']};
+	assert.strictEqual(policy.findIn('GET/route/1', permissions), true);
+	assert.strictEqual(policy.findIn('GET#route#4', permissions, '#'), false);
+	assert.strictEqual(policy.findIn('GET/*/deep', permissions), true);
+	assert.strictEqual(policy.findIn('GET/**', permissions), true);
+	assert.strictEqual(policy.findIn('POST/**', permissions), false);
+	policy.setTokenCoercion('strict');
+	assert.strictEqual(policy.findIn('GET/route/1', permissions), false);
+	assert.strictEqual(policy.findIn('canEdit/1', permissions), true);
+});
+
+it('authorizes in the documented strategy order', function (policy) {
+	var permissions = {canView: ['1'], GET: {reports: true}};
+	assert.deepEqual(policy.decide('canView/1', {permissions: permissions}), {strategy: 'findIn', result: true});
+	assert.deepEqual(policy.decide('/a', {permissions: ['/a', '/b']}), {strategy: 'permissionsArray', result: true});
+	assert.deepEqual(policy.decide('GET/reports && !canView/2', {permissions: permissions}), {strategy: 'expression', result: true});
+	assert.deepEqual(policy.decide(function (query, permissions) {
+		return permissions.GET.reports;
+	}, {permissions: permissions}), {strategy: 'function', result: true});
+	assert.deepEqual(policy.decide(undefined, {permissions: permissions}), {strategy: 'defaultAccess', result: false});
+	policy.setDefaultAccess(true);
+	assert.strictEqual(policy.isAuthorized(undefined), true);
+	// custom authorization comes first, route authorization before global authorization
+	policy.setCustomAuthorization(function (query) {
+		return query === 'anything';
+	});
+	assert.deepEqual(policy.decide('anything', {permissions: permissions}), {strategy: 'customAuthorization', result: true});
+	var decision = policy.decide('anything', {
+		permissions: permissions,
+		customRouteAuthorization: function (query, permissions, route, routeParams) {
+			return routeParams.id === '3';
+		},
+		routeParams: {id: '3'}
+	});
+	assert.deepEqual(decision, {strategy: 'customRouteAuthorization', result: true});
+});
+
+it('interpolates route parameters into queries', function (policy) {
+	assert.strictEqual(policy.isAuthorized('canView/:id', {permissions: {canView: ['3']}, routeParams: {id: 3}}), true);
+	assert.strictEqual(policy.isAuthorized('canView/:id', {permissions: {canView: ['3']}, routeParams: {id: 4}}), false);
+});
+
+it('authorizes with roles', function (policy) {
+	policy.setRoles({
+		viewer: {permissions: ['canView/**']},
+		editor: {permissions: ['canEdit/*'], inherits: ['viewer']}
+	});
+	assert.deepEqual(policy.decide('canEdit/3', {permissions: ['editor']}), {strategy: 'roles', result: true});
+	assert.strictEqual(policy.isAuthorized('canView/3/comments', {permissions: {roles: ['editor']}}), true);
+	assert.strictEqual(policy.isAuthorized('canEdit/3', {permissions: ['viewer']}), false);
+	assert.deepEqual(policy.getExpandedRoles(['editor']), ['editor', 'viewer']);
+	assert.strictEqual(policy.hasAnyRole(['admin', 'viewer'], ['editor']), true);
+	assert.strictEqual(policy.hasAllRoles(['admin', 'viewer'], ['editor']), false);
+	policy.setRolesSource(function (permissions) {
+		return permissions.user.roles;
+	});
+	assert.strictEqual(policy.isAuthorized('canEdit/3', {permissions: {user: {roles: ['editor']}}}), true);
+});
+
+it('rejects malformed expressions and unknown coercions', function (policy) {
+	assert.throws(function () {
+		policy.isAuthorized('canView/1 &&', {permissions: {}});
+	});
+	assert.throws(function () {
+		policy.setTokenCoercion('loose');
+	});
+});
+
+it('caches only the most recently parsed expressions', function (policy) {
+	var tree = policy.parseExpression('a && b');
+	assert.strictEqual(policy.parseExpression('a && b'), tree);
+	for (var i = 0; i < 200; i++) {
+		policy.parseExpression('canView/' + i + ' && !suspended');
+	}
+	assert.notStrictEqual(policy.parseExpression('a && b'), tree);
+	assert.deepEqual(policy.parseExpression('a && b'), tree);
+});
+
+it('authorizes with named policies', function (policy) {
+	policy.definePolicy('document.edit', function (user, resource, permissions) {
+		return resource.owner === user.id || permissions.teams.indexOf(resource.team) !== -1;
+	});
+	assert.strictEqual(policy.hasPolicy('document.edit'), true);
+	assert.strictEqual(policy.can('document.edit', {id: 1}, {owner: 1}, {teams: []}), true);
+	assert.strictEqual(policy.can('document.edit', {id: 2}, {owner: 1, team: 'a'}, {teams: ['a']}), true);
+	assert.strictEqual(policy.can('document.edit', {id: 2}, {owner: 1, team: 'b'}, {teams: ['a']}), false);
+	assert.throws(function () {
+		policy.can('document.delete', {id: 1}, {owner: 1}, {});
+	}, /Unknown policy: document\.delete/);
+	assert.throws(function () {
+		policy.definePolicy('document.view', true);
+	});
+	// promises (any thenable) become promises of booleans
+	var share;
+	policy.definePolicy('document.share', function () {
+		return new Promise(function (resolve) {
+			share = resolve;
+		});
+	});
+	var allowed = policy.can('document.share');
+	share('yes');
+	return allowed.then(function (result) {
+		assert.strictEqual(result, true);
+	});
+});
+
+it('keeps each policy separate', function (policy) {
+	var other = tmixSecurityCore.createPolicy();
+	policy.setDefaultAccess(true);
+	assert.strictEqual(policy.getDefaultAccess(), true);
+	assert.strictEqual(other.getDefaultAccess(), false);
+});
+
+tests.then(function () {
+	if (failures) {
+		console.log(failures + ' failed');
+		process.exit(1);
+	}
+});
@@ -8,6 +8,12 @@ describe('tmix-security', function () {
 	 */
 	var Auth;
 
+	/**
+	 * The tmixSecurityProvider, e.g. for its authorizeOrRedirect resolve
+	 * @type object
+	 */
+	var AuthProvider;
+
 	/**
 	 * Setup fake routes for our app; if you modify this directly in a test,
 	 * change it back.
@@ -63,6 +69,16 @@ describe('tmix-security', function () {
 				templateUrl: "views/sample.html",
 				controller: "SampleCtrl",
 				originalPath: "/set-permissions-on-route"
+			},
+			"/project/:projectId": {
+				templateUrl: "views/sample.html",
+				controller: "SampleCtrl",
+				resolve: ['tmixSecurity'],
+				permissions: 'http://example.com/projects/:projectId/my-roles',
+				permissionsRequest: {method: 'POST', data: {include: 'roles'}, headers: {'X-Project': 'yes'}},
+				originalPath: "/project/:projectId",
+				regexp: /^\/project\/(?:([^\/]+))$/, // as $routeProvider compiles it
+				keys: [{name: 'projectId', optional: false}]
 			}
 		},
 		current: {$$route: {}} // set this using setCurrentRoute(); will be reset to '/' before each test
@@ -98,11 +114,30 @@ describe('tmix-security', function () {
 		$route.current.params = params;
 	};
 
+	/**
+	 * Restore a property replaced by a test from the descriptor saved with
+	 * Object.getOwnPropertyDescriptor(); without one, the replacement is
+	 * removed so that any inherited (e.g. native) property shows again
+	 * @param {object} object
+	 * @param {string} name
+	 * @param {object|undefined} descriptor
+	 * @returns {undefined}
+	 */
+	var restoreProperty = function (object, name, descriptor) {
+		if (descriptor) {
+			Object.defineProperty(object, name, descriptor);
+		}
+		else {
+			delete object[name];
+		}
+	};
+
 	// see http://stackoverflow.com/questions/14773269
 	beforeEach(module('tmix'));
 	beforeEach(function () {
-		module(function ($provide) {
+		module(function ($provide, tmixSecurityProvider) {
 			$provide.value('$route', $route); // this will be the route within the module
+			AuthProvider = tmixSecurityProvider;
 		});
 		//$route = angular.copy($route); // reset routes for current context
 		setCurrentRoute('/'); // reset current route to root
@@ -176,6 +211,60 @@ describe('tmix-security', function () {
 		});		
 	}));
 	
+	it('should share one request between concurrent retrievals of the same URL', inject(function ($httpBackend) {
+		var requests = 0;
+		var status = 500;
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond(function () {
+			requests++;
+			return [status, 'RESPONSE'];
+		});
+		var failures = 0;
+		for (var i = 0; i < 3; i++) {
+			Auth.getPermissions('/grab-from-url').catch(function () {
+				failures++;
+			});
+		}
+		$httpBackend.flush();
+		expect(requests).toBe(1);
+		expect(failures).toBe(3);
+		// a failed request is not reused
+		status = 200;
+		Auth.getPermissions('/grab-from-url');
+		Auth.getPermissions('/grab-from-url').then(function (data) {
+			expect(data).toBe('RESPONSE');
+		});
+		$httpBackend.flush();
+		expect(requests).toBe(2);
+	}));
+
+	it('can customize the permissions request and transform the response', inject(function ($httpBackend) {
+		Auth.setPermissionsRequest({headers: {Authorization: 'Bearer token'}, params: {scope: 'ui'}});
+		Auth.setPermissionsTransform(function (data) {
+			return data.result;
+		});
+		// provider config
+		$httpBackend.expect('GET', 'http://example.com/my-roles?scope=ui', undefined, function (headers) {
+			return headers.Authorization === 'Bearer token';
+		}).respond({result: ['/grab-from-url']});
+		Auth.getPermissions('/grab-from-url').then(function (data) {
+			expect(data).toEqual(['/grab-from-url']);
+		});
+		$httpBackend.flush();
+		// route config and URL template
+		setCurrentRoute('/project/:projectId');
+		setCurrentParams({projectId: 'a b'});
+		$httpBackend.expect('POST', 'http://example.com/projects/a%20b/my-roles?scope=ui', {include: 'roles'}, function (headers) {
+			return headers.Authorization === 'Bearer token' && headers['X-Project'] === 'yes';
+		}).respond({result: {canEdit: ['a b']}});
+		Auth.getPermissions();
+		$httpBackend.flush();
+		expect(Auth.isAuthorized('canEdit/:projectId')).toBe(true);
+		// each filled URL is cached separately
+		setCurrentParams({projectId: 'c'});
+		expect(Auth.getPermissionsSync()).toBe(undefined);
+		$httpBackend.verifyNoOutstandingExpectation();
+	}));
+
 	it('can clear cached permissions', inject(function ($http, $injector) {
 		// spy on HTTP GET
 		var $httpBackend = $injector.get("$httpBackend"); // do we really need to $inject first?
@@ -200,6 +289,97 @@ describe('tmix-security', function () {
 		});	
 	}));
 
+	it('can clear the cached permissions of one URL', inject(function ($httpBackend) {
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond('RESPONSE 1');
+		$httpBackend.when('GET', 'http://example.com/other-roles').respond('RESPONSE 2');
+		Auth.setPermissions('http://example.com/other-roles', '/set-permissions-on-route');
+		Auth.getPermissions('/grab-from-url');
+		Auth.getPermissions('/set-permissions-on-route');
+		$httpBackend.flush();
+		Auth.clearPermissionsCache('http://example.com/other-roles');
+		expect(Auth.getPermissionsSync('/grab-from-url')).toBe('RESPONSE 1');
+		expect(Auth.getPermissionsSync('/set-permissions-on-route')).toBe(undefined);
+		Auth.setPermissions(undefined, '/set-permissions-on-route');
+	}));
+
+	it('should use expired permissions while retrieving them again', inject(function ($httpBackend) {
+		var response = 'RESPONSE 1';
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond(function () {
+			return [200, response];
+		});
+		Auth.setPermissionsTtl(-1, 'http://example.com/my-roles'); // expire immediately
+		Auth.getPermissions('/grab-from-url');
+		$httpBackend.flush();
+		response = 'RESPONSE 2';
+		Auth.getPermissions('/grab-from-url').then(function (data) {
+			expect(data).toBe('RESPONSE 1'); // expired, but available immediately
+		});
+		$httpBackend.flush(); // the permissions are retrieved again...
+		expect(Auth.getPermissionsSync('/grab-from-url')).toBe('RESPONSE 2');
+		// ...but not if they have not expired
+		Auth.setPermissionsTtl(60000, 'http://example.com/my-roles');
+		Auth.clearPermissionsCache();
+		Auth.getPermissions('/grab-from-url');
+		$httpBackend.flush();
+		Auth.getPermissions('/grab-from-url');
+		expect($httpBackend.flush).toThrow(); // because there are no pending HTTP requests to flush
+	}));
+
+	it('can persist permissions in a storage', inject(function ($httpBackend) {
+		var storage = {
+			items: {},
+			getItem: function (key) {
+				return this.items.hasOwnProperty(key) ? this.items[key] : null;
+			},
+			setItem: function (key, value) {
+				this.items[key] = value;
+			},
+			removeItem: function (key) {
+				delete this.items[key];
+			}
+		};
+		// restored from storage without a request
+		storage.setItem('tmixSecurity.permissions', angular.toJson({'http://example.com/my-roles': {data: {canView: ['a']}, expires: null}}));
+		Auth.setPermissionsStorage(storage);
+		expect(Auth.getPermissionsSync('/grab-from-url')).toEqual({canView: ['a']});
+		// retrieved permissions are persisted
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond({canView: ['b']});
+		Auth.clearPermissionsCache();
+		expect(storage.getItem('tmixSecurity.permissions')).toBe(null);
+		Auth.getPermissions('/grab-from-url');
+		$httpBackend.flush();
+		expect(angular.fromJson(storage.getItem('tmixSecurity.permissions'))['http://example.com/my-roles'].data).toEqual({canView: ['b']});
+		expect(function () { Auth.setPermissionsStorage('cookies'); }).toThrow();
+	}));
+
+	it('should ignore a storage that cannot be accessed', inject(function ($httpBackend, $window) {
+		// e.g. sessionStorage with cookies blocked throws a SecurityError on access
+		var descriptor = Object.getOwnPropertyDescriptor($window, 'sessionStorage');
+		Object.defineProperty($window, 'sessionStorage', {
+			configurable: true,
+			get: function () {
+				throw new Error('SecurityError');
+			}
+		});
+		try {
+			Auth.setPermissionsStorage('sessionStorage');
+			$httpBackend.when('GET', 'http://example.com/my-roles').respond({canView: ['b']});
+			Auth.clearPermissionsCache();
+			Auth.getPermissions('/grab-from-url');
+			$httpBackend.flush();
+			expect(Auth.getPermissionsSync('/grab-from-url')).toEqual({canView: ['b']});
+		}
+		finally {
+			if (descriptor) {
+				Object.defineProperty($window, 'sessionStorage', descriptor);
+			}
+			else {
+				delete $window.sessionStorage; // the own property defined above; the native one is inherited
+			}
+			Auth.setPermissionsStorage(null);
+		}
+	}));
+
 	it('should be queryable throughout the application', function () {
 		// uses current route's permissions by default; i.e. '/'
 		expect(Auth.isAuthorized('canEdit/2')).toBe(true);
@@ -209,6 +389,42 @@ describe('tmix-security', function () {
 		expect(Auth.isAuthorized('test')).toBe(false);
 	});
 
+	it('can wait for permissions to load before authorizing', inject(function ($httpBackend) {
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond({canView: ['a', 'b'], canEdit: ['a']});
+		setCurrentRoute('/grab-from-url');
+		expect(Auth.isAuthorized('canView/a')).toBe(false); // not loaded yet
+		var results = {};
+		Auth.isAuthorizedAsync('canView/a').then(function (authorized) {
+			results.async = authorized;
+		});
+		Auth.isAuthorizedAll(['canView/a', 'canEdit/a']).then(function (authorized) {
+			results.all = authorized;
+		});
+		Auth.isAuthorizedAll(['canView/b', 'canEdit/b']).then(function (authorized) {
+			results.notAll = authorized;
+		});
+		Auth.isAuthorizedAny(['canEdit/b', 'canView/b']).then(function (authorized) {
+			results.any = authorized;
+		});
+		Auth.isAuthorizedAny(['canEdit/b', 'canEdit/c']).then(function (authorized) {
+			results.notAny = authorized;
+		});
+		$httpBackend.flush();
+		expect(results).toEqual({async: true, all: true, notAll: false, any: true, notAny: false});
+	}));
+
+	it('should authorize asynchronously with the defaults if permissions fail to load', inject(function ($httpBackend) {
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond(500);
+		setCurrentRoute('/grab-from-url');
+		var result;
+		Auth.setDefaultAccess(true);
+		Auth.isAuthorizedAsync().then(function (authorized) {
+			result = authorized;
+		});
+		$httpBackend.flush();
+		expect(result).toBe(true);
+	}));
+
 	it('should authorize a bunch of different ways', function () {
 		// using '/' route, test a custom route authorization function
 		$route.routes['/'].customAuthorization = function (query, permissions, route, routeParams) {
@@ -309,6 +525,47 @@ describe('tmix-security', function () {
 		expect(Auth.findIn('GET#page/1', permissions, '#')).toBe(false);
 	});
 
+	it('should find wildcards in the permissions object', function () {
+		var permissions = {GET: {page: [1, 2, 3], other: {deep: ['x']}}, PUT: {}};
+		expect(Auth.findIn('GET/*', permissions)).toBe(true);
+		expect(Auth.findIn('GET/*/2', permissions)).toBe(true);
+		expect(Auth.findIn('GET/*/4', permissions)).toBe(false);
+		expect(Auth.findIn('PUT/*', permissions)).toBe(false);
+		expect(Auth.findIn('*/page', permissions)).toBe(true);
+		expect(Auth.findIn('**/x', permissions)).toBe(true);
+		expect(Auth.findIn('GET/**/deep/x', permissions)).toBe(true);
+		expect(Auth.findIn('**/y', permissions)).toBe(false);
+		expect(Auth.findIn('GET/**', permissions)).toBe(true);
+	});
+
+	it('should coerce query tokens when comparing them to array values', function () {
+		var permissions = {canEdit: [1, 2, 3], canView: ['1', 0]};
+		expect(Auth.findIn('canEdit/0', permissions)).toBe(true); // the array index
+		expect(Auth.findIn('canEdit/3', permissions)).toBe(false);
+		expect(Auth.findIn('canEdit/2', permissions)).toBe(true);
+		Auth.setTokenCoercion('string');
+		expect(Auth.findIn('canEdit/3', permissions)).toBe(true); // not the array index
+		expect(Auth.findIn('canEdit/0', permissions)).toBe(false);
+		expect(Auth.findIn('canView/0', permissions)).toBe(true);
+		Auth.setTokenCoercion('strict');
+		expect(Auth.findIn('canEdit/3', permissions)).toBe(false);
+		expect(Auth.findIn('canView/1', permissions)).toBe(true);
+		Auth.setTokenCoercion(function (value, token) {
+			return value * 10 === parseInt(token, 10);
+		});
+		expect(Auth.findIn('canEdit/30', permissions)).toBe(true);
+		expect(function () { Auth.setTokenCoercion('loose'); }).toThrow();
+		Auth.setTokenCoercion('index');
+	});
+
+	it('should fill ":param" placeholders in queries from the route parameters', function () {
+		setCurrentParams({id: 2});
+		expect(Auth.isAuthorized('canEdit/:id')).toBe(true);
+		expect(Auth.isAuthorized('canEdit/:other')).toBe(false);
+		setCurrentParams({id: 5});
+		expect(Auth.isAuthorized('canEdit/:id')).toBe(false);
+	});
+
 	it('can change its default access strategy (default allow, default deny)', function () {
 		setCurrentRoute('/no-permissions');
 		expect(Auth.isAuthorized()).toBe(false);
@@ -356,4 +613,1324 @@ describe('tmix-security', function () {
 			expect(Auth.isAuthorized('GET/page/1', routePath)).toBe(true);
 		});
 	});
+
+	it('can remove, hide or disable elements with the tmix-authorize directives', inject(function ($compile, $rootScope) {
+		var scope = $rootScope.$new();
+		scope.id = '...';
+		var element = $compile('<div>' +
+			'<span tmix-authorize="\'canView/\' + id"></span>' +
+			'<span tmix-authorize-hide="\'canView/\' + id"></span>' +
+			'<button tmix-authorize-disable="\'canView/\' + id"></button>' +
+			'</div>')(scope);
+		scope.$digest();
+		expect(element.find('span').length).toBe(2);
+		expect(element.find('span').eq(1).hasClass('ng-hide')).toBe(false);
+		expect(element.find('button').attr('disabled')).toBeFalsy();
+		// change the query; all three should re-evaluate
+		scope.id = '+++';
+		scope.$digest();
+		expect(element.find('span').length).toBe(1);
+		expect(element.find('span').eq(0).hasClass('ng-hide')).toBe(true);
+		expect(element.find('button').attr('disabled')).toBeTruthy();
+	}));
+
+	it('can use another route and delimiter in the tmix-authorize directives', inject(function ($compile, $rootScope) {
+		var element = $compile('<div><button tmix-authorize-disable="\'canEdit#a/b\'" ' +
+			'tmix-authorize-route="/set-permissions-on-route" tmix-authorize-delimiter="#"></button></div>')($rootScope);
+		Auth.setPermissions({canEdit: ['a/b']}, '/set-permissions-on-route');
+		$rootScope.$digest();
+		expect(element.find('button').attr('disabled')).toBeFalsy();
+		Auth.setPermissions(undefined, '/set-permissions-on-route');
+	}));
+
+	it('re-evaluates the tmix-authorize directives when permissions load or the cache is cleared', inject(function ($compile, $rootScope, $httpBackend) {
+		var response = {canEdit: ['1']};
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond(function () {
+			return [200, response];
+		});
+		setCurrentRoute('/grab-from-url');
+		var element = $compile('<div><span tmix-authorize-hide="\'canEdit/1\'"></span></div>')($rootScope);
+		$rootScope.$digest();
+		expect(element.find('span').hasClass('ng-hide')).toBe(true); // not loaded yet
+		$httpBackend.flush();
+		expect(element.find('span').hasClass('ng-hide')).toBe(false);
+		// revoke permissions on the server
+		response = {canEdit: []};
+		Auth.clearPermissionsCache();
+		$httpBackend.flush();
+		expect(element.find('span').hasClass('ng-hide')).toBe(true);
+	}));
+
+	it('denies expressions before their permissions are loaded', inject(function ($compile, $rootScope, $httpBackend) {
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond({canEdit: ['1']});
+		setCurrentRoute('/grab-from-url');
+		expect(Auth.isAuthorized('!suspended', '/grab-from-url')).toBe(false);
+		expect(Auth.explain('!suspended', '/grab-from-url').strategy).toBe('failurePolicy');
+		// the directives should not flash the element either
+		var element = $compile('<div><span tmix-authorize="\'!suspended\'"></span></div>')($rootScope);
+		$rootScope.$digest();
+		expect(element.find('span').length).toBe(0);
+		$httpBackend.flush();
+		expect(element.find('span').length).toBe(1);
+		expect(Auth.isAuthorized('!suspended', '/grab-from-url')).toBe(true);
+	}));
+
+	it('records one decision per evaluation of the tmix-authorize directives', inject(function ($compile, $rootScope, $httpBackend) {
+		Auth.setDecisionSink('buffer');
+		// loaded permissions
+		var scope = $rootScope.$new();
+		$compile('<div><span tmix-authorize-hide="\'canEdit/1\'"></span></div>')(scope);
+		$rootScope.$digest();
+		expect(Auth.getDecisions().length).toBe(1);
+		scope.$destroy();
+		// permissions retrieved from a URL, recorded once they load
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond({canEdit: ['1']});
+		setCurrentRoute('/grab-from-url');
+		$compile('<div><span tmix-authorize-hide="\'canEdit/1\'"></span></div>')($rootScope.$new());
+		$rootScope.$digest();
+		expect(Auth.getDecisions().length).toBe(1);
+		$httpBackend.flush();
+		expect(Auth.getDecisions().length).toBe(3); // loaded, then re-evaluated on tmixSecurity:permissionsChanged
+	}));
+
+	it('treats the tmix-authorize directives as unauthorized before any route matches', inject(function ($compile, $rootScope) {
+		var current = $route.current;
+		$route.current = undefined;
+		var element = $compile('<div><span tmix-authorize-hide="\'canView/1\'"></span><button tmix-authorize-disable="\'canView/1\'"></button></div>')($rootScope);
+		$rootScope.$digest();
+		expect(element.find('span').hasClass('ng-hide')).toBe(true);
+		expect(element.find('button').attr('disabled')).toBe('disabled');
+		$route.current = current;
+	}));
+
+	it('can guard every route with permissions on $routeChangeStart', inject(function ($rootScope, $injector, $location) {
+		var navigateTo = function (routePath) {
+			var next = {$$route: $route.routes[routePath], params: {}};
+			$rootScope.$broadcast('$routeChangeStart', next, $route.current);
+			return next;
+		};
+		// off by default
+		expect(navigateTo('/').resolve).toBe(undefined);
+		Auth.setRouteGuard(true);
+		// guards routes with permissions
+		var next = navigateTo('/test-custom-redirect');
+		expect(typeof next.resolve.tmixSecurityAuthorized).toBe('function');
+		expect($route.routes['/test-custom-redirect'].resolve).toEqual(['tmixSecurity']); // route definition is untouched
+		setCurrentRoute('/test-custom-redirect');
+		spyOn($location, 'path').andCallThrough();
+		var result;
+		$injector.invoke(next.resolve.tmixSecurityAuthorized).then(function () {
+			result = true;
+		}, function (authorized) {
+			result = authorized;
+		});
+		$rootScope.$apply();
+		expect(result).toBe(false);
+		expect($location.path).toHaveBeenCalledWith('/a-different-access-denied');
+		// skips routes that already resolve with authorizeOrRedirect
+		var route = $route.routes['/test-custom-redirect'];
+		var resolve = route.resolve;
+		route.resolve = {auth: AuthProvider.authorizeOrRedirect};
+		expect(navigateTo('/test-custom-redirect').resolve).toBe(undefined);
+		route.resolve = resolve;
+		// skips routes without permissions unless default permissions are set
+		expect(navigateTo('/no-permissions').resolve).toBe(undefined);
+		Auth.setDefaultPermissions([]);
+		expect(navigateTo('/no-permissions').resolve).toBeDefined();
+		// skips public routes
+		$route.routes['/no-permissions'].public = true;
+		expect(navigateTo('/no-permissions').resolve).toBe(undefined);
+		delete $route.routes['/no-permissions'].public;
+		Auth.setDefaultPermissions(undefined);
+		Auth.setRouteGuard(false);
+	}));
+
+	it('can react to 401 and 403 responses from the backend', inject(function ($http, $httpBackend, $location) {
+		var permissionRequests = 0;
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond(function () {
+			permissionRequests++;
+			return [200, {canView: []}];
+		});
+		$httpBackend.when('GET', '/api/forbidden').respond(403);
+		$httpBackend.when('GET', '/api/unauthenticated').respond(401);
+		$httpBackend.when('GET', '/api/ignored').respond(403);
+		setCurrentRoute('/grab-from-url');
+		Auth.getPermissions();
+		$httpBackend.flush();
+		spyOn($location, 'path').andCallThrough();
+		// off by default
+		$http.get('/api/forbidden');
+		$httpBackend.flush();
+		expect($location.path).not.toHaveBeenCalledWith('/forbidden');
+		// 403: re-retrieve permissions and deny
+		Auth.setHttpInterceptor(true);
+		$http.get('/api/forbidden').then(function () {
+			expect('to not be here').toBe(false);
+		}, function (response) {
+			expect(response.status).toBe(403);
+		});
+		$httpBackend.flush();
+		expect(permissionRequests).toBe(2);
+		expect($location.path).toHaveBeenCalledWith('/forbidden');
+		// 401: send to the login route
+		Auth.setLoginRoute('/login');
+		$http.get('/api/unauthenticated');
+		$httpBackend.flush();
+		expect(permissionRequests).toBe(3);
+		expect($location.path).toHaveBeenCalledWith('/login');
+		// ignored endpoints
+		Auth.setHttpInterceptorIgnore(function (response) {
+			return response.config.url === '/api/ignored';
+		});
+		$http.get('/api/ignored');
+		$httpBackend.flush();
+		expect(permissionRequests).toBe(3);
+	}));
+
+	it('can retry failed permission requests with backoff', inject(function ($httpBackend, $timeout) {
+		var requests = 0;
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond(function () {
+			requests++;
+			return requests < 3 ? [500, ''] : [200, 'RESPONSE'];
+		});
+		Auth.setPermissionsRetries(2, 100);
+		var result;
+		Auth.getPermissions('/grab-from-url').then(function (data) {
+			result = data;
+		});
+		$httpBackend.flush();
+		expect(requests).toBe(1);
+		$timeout.flush(99);
+		expect($httpBackend.flush).toThrow(); // not yet
+		$timeout.flush(1);
+		$httpBackend.flush();
+		expect(requests).toBe(2);
+		$timeout.flush(200); // the delay doubles
+		$httpBackend.flush();
+		expect(requests).toBe(3);
+		expect(result).toBe('RESPONSE');
+	}));
+
+	it('can choose what happens when permissions cannot be retrieved', inject(function ($httpBackend, $location) {
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond(500);
+		setCurrentRoute('/grab-from-url');
+		$location.path('/grab-from-url');
+		spyOn($location, 'path').andCallThrough();
+		var authorize = function () {
+			var result;
+			Auth.authorizeOrRedirect().then(function (authorized) {
+				result = authorized;
+			}, function (authorized) {
+				result = authorized;
+			});
+			$httpBackend.flush();
+			return result;
+		};
+		// by default, authorize with empty permissions
+		expect(authorize()).toBe(false);
+		// ...but deny expressions, which could be negated
+		var expression;
+		Auth.isAuthorizedAsync('!suspended').then(function (authorized) {
+			expression = authorized;
+		});
+		$httpBackend.flush();
+		expect(expression).toBe(false);
+		// allow
+		Auth.setPermissionsFailurePolicy('allow');
+		expect(authorize()).toBe(true);
+		// deny, even with a custom authorization that would allow
+		Auth.setCustomAuthorization(function () {
+			return true;
+		});
+		Auth.setPermissionsFailurePolicy('deny');
+		expect(authorize()).toBe(false);
+		expect($location.path).toHaveBeenCalledWith('/forbidden');
+		Auth.setCustomAuthorization(null);
+		// send to an error route
+		Auth.setPermissionsFailurePolicy('error', '/permissions-error');
+		expect(authorize()).toBe(false);
+		expect($location.path).toHaveBeenCalledWith('/permissions-error');
+		expect(function () { Auth.setPermissionsFailurePolicy('error'); }).toThrow();
+		expect(function () { Auth.setPermissionsFailurePolicy('maybe'); }).toThrow();
+	}));
+
+	it('can use the last retrieved permissions when permissions cannot be retrieved', inject(function ($httpBackend) {
+		var status = 200;
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond(function () {
+			return [status, 'RESPONSE'];
+		});
+		Auth.setPermissionsFailurePolicy('cached');
+		var result;
+		// no last permissions: deny
+		status = 500;
+		Auth.isAuthorizedAsync(function () { return true; }, '/grab-from-url').then(function (authorized) {
+			result = authorized;
+		});
+		$httpBackend.flush();
+		expect(result).toBe(false);
+		// last permissions are used after clearing the cache
+		status = 200;
+		Auth.getPermissions('/grab-from-url');
+		$httpBackend.flush();
+		Auth.clearPermissionsCache();
+		status = 500;
+		Auth.getPermissions('/grab-from-url').then(function (data) {
+			result = data;
+		});
+		$httpBackend.flush();
+		expect(result).toBe('RESPONSE');
+	}));
+
+	it('can authorize with roles mapped to permissions', function () {
+		Auth.setRoles({
+			viewer: {permissions: ['canView/**']},
+			editor: {permissions: ['canEdit/*', 'canDelete/drafts/*'], inherits: ['viewer']},
+			auditor: {permissions: ['reports'], inherits: ['auditor']} // cycles are ignored
+		});
+		Auth.setPermissions(['editor'], '/set-permissions-on-route');
+		setCurrentRoute('/set-permissions-on-route');
+		// roles, including inherited roles
+		expect(Auth.hasRole('editor')).toBe(true);
+		expect(Auth.hasRole('viewer')).toBe(true);
+		expect(Auth.hasRole('auditor')).toBe(false);
+		expect(Auth.hasAnyRole(['auditor', 'viewer'])).toBe(true);
+		expect(Auth.hasAllRoles(['editor', 'viewer'])).toBe(true);
+		expect(Auth.hasAllRoles(['editor', 'auditor'])).toBe(false);
+		// queries granted by the roles
+		expect(Auth.isAuthorized('canEdit/3')).toBe(true);
+		expect(Auth.isAuthorized('canEdit/3/comments')).toBe(false);
+		expect(Auth.isAuthorized('canView/3/comments')).toBe(true);
+		expect(Auth.isAuthorized('canDelete/drafts/3')).toBe(true);
+		expect(Auth.isAuthorized('canDelete/3')).toBe(false);
+		expect(Auth.isAuthorized('editor')).toBe(true); // still looks in the permissions array
+		// roles from a permissions object
+		Auth.setPermissions({roles: ['auditor']}, '/set-permissions-on-route');
+		expect(Auth.isAuthorized('reports')).toBe(true);
+		expect(Auth.isAuthorized('canView/3')).toBe(false);
+		Auth.setRolesSource(function (permissions) {
+			return permissions.roles.concat(['viewer']);
+		});
+		expect(Auth.isAuthorized('canView/3')).toBe(true);
+		Auth.setPermissions(undefined, '/set-permissions-on-route');
+	});
+
+	it('can authorize routes that declare roles', inject(function ($rootScope) {
+		Auth.setRoles({editor: {permissions: []}});
+		$route.routes['/set-permissions-on-route'].roles = ['editor', 'admin'];
+		setCurrentRoute('/set-permissions-on-route');
+		var results = [];
+		var authorize = function () {
+			Auth.authorizeOrRedirect().then(function (authorized) {
+				results.push(authorized);
+			}, function (authorized) {
+				results.push(authorized);
+			});
+			$rootScope.$apply();
+		};
+		Auth.setPermissions({roles: ['editor']});
+		authorize();
+		Auth.setPermissions({roles: ['viewer']});
+		authorize();
+		expect(results).toEqual([true, false]);
+		delete $route.routes['/set-permissions-on-route'].roles;
+		Auth.setPermissions(undefined);
+	}));
+
+	it('can authorize boolean expressions', function () {
+		Auth.setPermissions({canView: ['1', '2'], canDelete: ['2'], GET: {reports: true}, suspended: false}, '/set-permissions-on-route');
+		setCurrentRoute('/set-permissions-on-route');
+		setCurrentParams({id: '1'});
+		expect(Auth.isAuthorized('canView/:id && !canDelete/:id')).toBe(true);
+		setCurrentParams({id: '2'});
+		expect(Auth.isAuthorized('canView/:id && !canDelete/:id')).toBe(false);
+		expect(Auth.isAuthorized('(GET/reports || admin) && !suspended')).toBe(true);
+		expect(Auth.isAuthorized('!(GET/reports || admin)')).toBe(false);
+		expect(Auth.isAuthorized('admin || canView/3 || canDelete/2')).toBe(true);
+		expect(Auth.isAuthorized('!!GET/reports')).toBe(true);
+		// malformed expressions
+		expect(function () { Auth.isAuthorized('canView/1 &&'); }).toThrow();
+		expect(function () { Auth.isAuthorized('(canView/1 || admin'); }).toThrow();
+		expect(function () { Auth.isAuthorized('canView/1 && || admin'); }).toThrow();
+		Auth.setPermissions(undefined, '/set-permissions-on-route');
+	});
+
+	it('can authorize routes that declare a rule', inject(function ($rootScope) {
+		$route.routes['/set-permissions-on-route'].rule = 'canView/:id && !canDelete/:id';
+		Auth.setPermissions({canView: ['1', '2'], canDelete: ['2']}, '/set-permissions-on-route');
+		setCurrentRoute('/set-permissions-on-route');
+		var results = [];
+		var authorize = function () {
+			Auth.authorizeOrRedirect().then(function (authorized) {
+				results.push(authorized);
+			}, function (authorized) {
+				results.push(authorized);
+			});
+			$rootScope.$apply();
+		};
+		setCurrentParams({id: '1'});
+		authorize();
+		setCurrentParams({id: '2'});
+		authorize();
+		expect(results).toEqual([true, false]);
+		delete $route.routes['/set-permissions-on-route'].rule;
+		Auth.setPermissions(undefined, '/set-permissions-on-route');
+	}));
+
+	it('can record and explain authorization decisions', inject(function ($httpBackend, $rootScope) {
+		Auth.setDecisionSink('buffer', 2);
+		Auth.setPermissions({canView: ['1']}, '/set-permissions-on-route');
+		expect(Auth.explain('canView/1', '/set-permissions-on-route')).toEqual({
+			query: 'canView/1', routePath: '/set-permissions-on-route', strategy: 'findIn', source: 'object', result: true
+		});
+		expect(Auth.getDecisions()).toEqual([]); // explaining has no side effects
+		expect(Auth.explain('/route-default-auth', '/route-default-auth').strategy).toBe('permissionsArray');
+		expect(Auth.explain(1, '/override-auth').strategy).toBe('customRouteAuthorization');
+		expect(Auth.explain(function () { return true; }).strategy).toBe('function');
+		expect(Auth.explain('canView/1', '/no-permissions').source).toBe('none');
+		// the buffer keeps the last decisions
+		Auth.isAuthorized('canView/1', '/set-permissions-on-route');
+		Auth.isAuthorized('canView/2', '/set-permissions-on-route');
+		Auth.isAuthorized('canView/3', '/set-permissions-on-route');
+		var decisions = Auth.getDecisions();
+		expect(decisions.length).toBe(2);
+		expect(decisions[0].query).toBe('canView/2');
+		expect(decisions[1].result).toBe(false);
+		expect(decisions[1].time).toBeDefined();
+		// permissions retrieved by authorizeOrRedirect, then from the cache
+		var recorded = [];
+		Auth.setDecisionSink(function (decision) {
+			recorded.push(decision.source);
+		});
+		$httpBackend.whenGET('http://example.com/my-roles').respond(['/grab-from-url']);
+		setCurrentRoute('/grab-from-url');
+		Auth.authorizeOrRedirect();
+		$httpBackend.flush();
+		Auth.authorizeOrRedirect();
+		$rootScope.$apply();
+		expect(recorded).toEqual(['url', 'cache']);
+		expect(function () { Auth.setDecisionSink('nowhere'); }).toThrow();
+		Auth.setPermissions(undefined, '/set-permissions-on-route');
+	}));
+
+	it('can log to a custom logger', function () {
+		var messages = [];
+		Auth.setLogger(function (message) {
+			messages.push(message);
+		});
+		Auth.turnOnDebugging();
+		Auth.explain('canView/1', '/');
+		expect(messages).toEqual([]);
+		Auth.isAuthorized('canEdit/9', '/');
+		expect(messages[messages.length - 1]).toMatch(/denied by findIn/);
+		Auth.turnOffDebugging();
+	});
+
+	it('can send denied users back to where they were going', inject(function ($location, $rootScope) {
+		setCurrentRoute('/test-custom-redirect');
+		$location.search({tab: '2'});
+		Auth.authorizeOrRedirect();
+		$rootScope.$apply();
+		expect($location.path()).toBe('/a-different-access-denied');
+		expect(Auth.getReturnTo()).toBe('/test-custom-redirect?tab=2');
+		Auth.redirectBack('/home');
+		expect($location.url()).toBe('/test-custom-redirect?tab=2');
+		expect(Auth.getReturnTo()).toBeUndefined();
+		Auth.redirectBack('/home');
+		expect($location.url()).toBe('/home');
+	}));
+
+	it('can choose the denied route with a function or a provider default', inject(function ($location, $rootScope) {
+		Auth.setDefaultDeniedRoute('/no-access');
+		setCurrentRoute('/no-permissions');
+		Auth.authorizeOrRedirect();
+		$rootScope.$apply();
+		expect($location.path()).toBe('/no-access');
+		var args;
+		$route.routes['/set-permissions-on-route'].deniedRoute = function (route, routeParams, permissions) {
+			args = [route, routeParams, permissions];
+			return permissions.archived ? '/archived' : null;
+		};
+		Auth.setPermissions({archived: true}, '/set-permissions-on-route');
+		setCurrentRoute('/set-permissions-on-route');
+		setCurrentParams({id: '3'});
+		Auth.authorizeOrRedirect();
+		$rootScope.$apply();
+		expect($location.path()).toBe('/archived');
+		expect(args).toEqual([$route.routes['/set-permissions-on-route'], {id: '3'}, {archived: true}]);
+		Auth.setPermissions({}, '/set-permissions-on-route');
+		setCurrentRoute('/set-permissions-on-route');
+		Auth.authorizeOrRedirect();
+		$rootScope.$apply();
+		expect($location.path()).toBe('/no-access'); // the function returned nothing
+		delete $route.routes['/set-permissions-on-route'].deniedRoute;
+		Auth.setPermissions(undefined, '/set-permissions-on-route');
+	}));
+
+	it('can send unauthenticated users to a login route', inject(function ($httpBackend, $location, $rootScope) {
+		Auth.setLoginRoute('/login', function (permissions) {
+			return !!permissions.userId;
+		});
+		$httpBackend.whenGET('http://example.com/my-roles').respond(401, '');
+		setCurrentRoute('/grab-from-url');
+		Auth.authorizeOrRedirect();
+		$httpBackend.flush();
+		expect($location.path()).toBe('/login');
+		expect(Auth.getReturnTo()).toBe('/grab-from-url');
+		// denied users failing the authentication check
+		Auth.setPermissions({}, '/set-permissions-on-route');
+		setCurrentRoute('/set-permissions-on-route');
+		Auth.authorizeOrRedirect();
+		$rootScope.$apply();
+		expect($location.path()).toBe('/login');
+		Auth.setPermissions({userId: 7}, '/set-permissions-on-route');
+		setCurrentRoute('/set-permissions-on-route');
+		Auth.authorizeOrRedirect();
+		$rootScope.$apply();
+		expect($location.path()).toBe('/forbidden');
+		Auth.setPermissions(undefined, '/set-permissions-on-route');
+	}));
+
+	it('can merge permissions from several sources', inject(function ($httpBackend) {
+		var route = $route.routes['/set-permissions-on-route'];
+		route.permissions = ['http://example.com/user/permissions', 'http://example.com/projects/:id/permissions', {canView: ['help']}];
+		route.mergePermissions = true;
+		setCurrentRoute('/set-permissions-on-route');
+		setCurrentParams({id: '3'});
+		$httpBackend.expectGET('http://example.com/user/permissions').respond({canView: ['1'], GET: {reports: true}, theme: 'light'});
+		$httpBackend.expectGET('http://example.com/projects/3/permissions').respond({canView: ['3'], canEdit: ['3'], theme: 'dark'});
+		expect(Auth.getPermissionsSync()).toBeUndefined();
+		var result;
+		Auth.getPermissions().then(function (permissions) {
+			result = permissions;
+		});
+		$httpBackend.flush();
+		var merged = {canView: ['1', '3', 'help'], GET: {reports: true}, theme: 'dark', canEdit: ['3']};
+		expect(result).toEqual(merged);
+		expect(Auth.getPermissionsSync()).toEqual(merged);
+		expect(Auth.isAuthorized('canView/help')).toBe(true);
+		expect(Auth.explain('canEdit/3').source).toBe('cache');
+		delete route.mergePermissions;
+		route.permissions = undefined;
+	}));
+
+	it('can layer route permissions on top of the defaults', function () {
+		Auth.setDefaultPermissions([{canView: ['1']}, {GET: {reports: true}}], true);
+		Auth.setPermissions({canView: ['2']}, '/set-permissions-on-route');
+		expect(Auth.getPermissionsSync('/set-permissions-on-route')).toEqual({canView: ['2']});
+		expect(Auth.getPermissionsSync('/no-permissions')).toEqual({canView: ['1'], GET: {reports: true}});
+		Auth.setPermissionsLayering(true);
+		expect(Auth.getPermissionsSync('/set-permissions-on-route')).toEqual({canView: ['1', '2'], GET: {reports: true}});
+		$route.routes['/set-permissions-on-route'].layerPermissions = false;
+		expect(Auth.getPermissionsSync('/set-permissions-on-route')).toEqual({canView: ['2']});
+		// without mergePermissions, an array is still a list of routes
+		expect(Auth.getPermissionsSync('/route-default-auth')).toEqual(['/route-default-auth']);
+		delete $route.routes['/set-permissions-on-route'].layerPermissions;
+		Auth.setPermissions(undefined, '/set-permissions-on-route');
+	});
+
+	it('can inherit permissions from ancestor routes', inject(function ($location, $rootScope) {
+		var customAuthorization = function (query, permissions) {
+			return permissions.admin === true;
+		};
+		$route.routes['/admin'] = {permissions: {admin: false}, customAuthorization: customAuthorization, deniedRoute: '/admin-denied', originalPath: '/admin'};
+		$route.routes['/admin/users/:id'] = {originalPath: '/admin/users/:id'};
+		// off by default
+		expect(Auth.getPermissionsFromRoute('/admin/users/:id')).toBeUndefined();
+		Auth.setRouteInheritance(true);
+		expect(Auth.getPermissionsFromRoute('/admin/users/:id')).toEqual({admin: false});
+		var decision = Auth.explain('anything', '/admin/users/:id');
+		expect(decision.strategy).toBe('customRouteAuthorization');
+		expect(decision.inheritedFrom).toBe('/admin');
+		setCurrentRoute('/admin/users/:id');
+		Auth.authorizeOrRedirect();
+		$rootScope.$apply();
+		expect($location.path()).toBe('/admin-denied');
+		// the closest ancestor wins and routes can still override
+		$route.routes['/admin/users/:id'].permissions = {admin: true};
+		expect(Auth.explain('anything', '/admin/users/:id').result).toBe(true);
+		expect(Auth.explain('anything', '/admin/users/:id').inheritedFrom).toBeUndefined();
+		// dots are part of ngRoute paths, not separators
+		$route.routes['/admin/report'] = {permissions: {admin: true}, originalPath: '/admin/report'};
+		$route.routes['/admin/report.json'] = {originalPath: '/admin/report.json'};
+		expect(Auth.explain('anything', '/admin/report.json').inheritedFrom).toBe('/admin');
+		delete $route.routes['/admin'];
+		delete $route.routes['/admin/users/:id'];
+		delete $route.routes['/admin/report'];
+		delete $route.routes['/admin/report.json'];
+	}));
+
+	it('can audit the security configuration of every route', function () {
+		Auth.setRouteGuard(true);
+		$route.routes['/forbidden'] = {public: true, originalPath: '/forbidden'};
+		$route.routes['/reports/:year'] = {
+			permissions: 'http://example.com/reports/:reportId/permissions',
+			customAuthorization: 'canView',
+			deniedRoute: '/',
+			originalPath: '/reports/:year'
+		};
+		var report = Auth.audit();
+		expect(report.ok).toBe(false);
+		expect(report.unguarded).toEqual([{routePath: '/no-permissions'}, {routePath: '/set-permissions-on-route'}]);
+		expect(report.deniedRoutes).toEqual([
+			{routePath: '/test-custom-redirect', deniedRoute: '/a-different-access-denied', problem: 'missing'},
+			{routePath: '/reports/:year', deniedRoute: '/', problem: 'guarded'}
+		]);
+		expect(report.customAuthorization).toEqual([{routePath: '/reports/:year', type: 'string'}]);
+		expect(report.unreachablePermissions).toEqual([
+			{routePath: '/reports/:year', url: 'http://example.com/reports/:reportId/permissions', missingParams: ['reportId']}
+		]);
+		delete $route.routes['/forbidden'];
+		delete $route.routes['/reports/:year'];
+	});
+
+	it('can stop redirect loops between denied routes', inject(function ($location, $rootScope) {
+		$route.routes['/a'] = {permissions: {}, deniedRoute: '/b', originalPath: '/a'};
+		$route.routes['/b'] = {permissions: {}, deniedRoute: '/a', originalPath: '/b'};
+		var loops = [];
+		$rootScope.$on('tmixSecurity:redirectLoop', function (event, data) {
+			loops.push(data.routes);
+		});
+		var results = [];
+		var authorize = function (routePath) {
+			setCurrentRoute(routePath);
+			$location.path(routePath);
+			Auth.authorizeOrRedirect().catch(function (authorized) {
+				results.push(authorized);
+			});
+			$rootScope.$apply();
+		};
+		authorize('/a');
+		expect($location.path()).toBe('/b');
+		authorize('/b');
+		expect($location.path()).toBe('/b'); // stopped without redirecting
+		expect(loops).toEqual([['/a', '/b', '/a']]);
+		expect(results).toEqual([false, false]);
+		expect(Auth.getReturnTo()).toBe('/a');
+		// stop at a terminal route, which is entered without being authorized
+		Auth.setRedirectLoopRoute('/b');
+		authorize('/a');
+		authorize('/b');
+		expect($location.path()).toBe('/b');
+		expect(loops.length).toBe(2);
+		setCurrentRoute('/b');
+		var entered;
+		Auth.authorizeOrRedirect().then(function (authorized) {
+			entered = authorized;
+		});
+		$rootScope.$apply();
+		expect(entered).toBe(true);
+		// the chain belongs to one navigation: any other navigation ends it
+		authorize('/a');
+		authorize('/b'); // stops at '/b' again, without navigating
+		$location.path('/no-permissions');
+		$rootScope.$broadcast('$routeChangeStart', {$$route: $route.routes['/no-permissions'], params: {}}, $route.current);
+		results = [];
+		authorize('/b');
+		expect(results).toEqual([false]); // authorized again instead of entered
+		delete $route.routes['/a'];
+		delete $route.routes['/b'];
+	}));
+
+	it('can authorize concrete paths', inject(function ($httpBackend, $rootScope) {
+		var received;
+		$route.routes['/page/:id/:section?'] = {
+			permissions: {canView: ['3']},
+			customAuthorization: function (query, permissions, route, routeParams) {
+				received = routeParams;
+				return permissions.canView.indexOf(routeParams.id) !== -1;
+			},
+			originalPath: '/page/:id/:section?',
+			regexp: /^\/page\/(?:([^\/]+))(?:\/([^\/]+)?)?$/,
+			keys: [{name: 'id', optional: false}, {name: 'section', optional: true}]
+		};
+		expect(Auth.isAuthorized('canView', '/page/3')).toBe(true);
+		expect(received).toEqual({id: '3'});
+		expect(Auth.isAuthorized('canView', '/page/4/comments')).toBe(false);
+		expect(received).toEqual({id: '4', section: 'comments'});
+		expect(Auth.getPermissionsFromRoute('/page/3')).toEqual({canView: ['3']});
+		expect(function () { Auth.isAuthorized('canView', '/not/a/page'); }).toThrow();
+		// URL templates are filled with the extracted parameters
+		$httpBackend.expectPOST('http://example.com/projects/7/my-roles').respond({canEdit: ['7']});
+		var result;
+		Auth.isAuthorizedAsync('canEdit/:projectId', '/project/7').then(function (authorized) {
+			result = authorized;
+		});
+		$httpBackend.flush();
+		expect(result).toBe(true);
+		expect(Auth.getPermissionsSync('/project/7')).toEqual({canEdit: ['7']});
+		expect(Auth.isAuthorized('canEdit/:projectId', '/project/8')).toBe(false);
+		delete $route.routes['/page/:id/:section?'];
+	}));
+
+	it('announces permission changes, retrievals and denials', inject(function ($httpBackend, $location, $rootScope) {
+		var events = [];
+		angular.forEach(['permissionsChanged', 'permissionsLoaded', 'denied'], function (name) {
+			$rootScope.$on('tmixSecurity:' + name, function (event, data) {
+				events.push([name, data]);
+			});
+		});
+		Auth.setPermissions({canView: ['1']}, '/set-permissions-on-route');
+		Auth.setDefaultPermissions({canView: ['2']});
+		expect(events).toEqual([
+			['permissionsChanged', {routePath: '/set-permissions-on-route'}],
+			['permissionsChanged', {defaultPermissions: true}]
+		]);
+		// retrieving the same permissions again is not a change
+		events = [];
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond({canView: ['3']});
+		Auth.getPermissions('/grab-from-url');
+		$httpBackend.flush();
+		Auth.clearPermissionsCache('http://example.com/my-roles');
+		Auth.getPermissions('/grab-from-url');
+		$httpBackend.flush();
+		expect(events).toEqual([
+			['permissionsLoaded', {url: 'http://example.com/my-roles', permissions: {canView: ['3']}}],
+			['permissionsChanged', {url: 'http://example.com/my-roles'}],
+			['permissionsChanged', {url: 'http://example.com/my-roles'}], // cleared
+			['permissionsLoaded', {url: 'http://example.com/my-roles', permissions: {canView: ['3']}}],
+			['permissionsChanged', {url: 'http://example.com/my-roles'}] // the cache was empty
+		]);
+		events = [];
+		setCurrentRoute('/test-custom-redirect');
+		Auth.authorizeOrRedirect().catch(angular.noop);
+		$rootScope.$apply();
+		expect(events).toEqual([
+			['denied', {routePath: '/test-custom-redirect', path: '/test-custom-redirect', redirectTo: '/a-different-access-denied'}]
+		]);
+		expect($location.path()).toBe('/a-different-access-denied');
+	}));
+
+	it('can re-validate the current route when permissions change', inject(function ($location, $rootScope) {
+		$route.routes['/editor'] = {permissions: ['/editor'], deniedRoute: '/', originalPath: '/editor'};
+		Auth.setRouteGuard(true);
+		setCurrentRoute('/editor');
+		// off by default
+		Auth.setPermissions([]);
+		$rootScope.$apply();
+		expect($location.path()).toBe('/editor');
+		Auth.setRevalidation(true);
+		Auth.setPermissions(['/editor']);
+		$rootScope.$apply();
+		expect($location.path()).toBe('/editor');
+		Auth.setPermissions([]);
+		$rootScope.$apply();
+		expect($location.path()).toBe('/');
+		// not while the route changes, since the next route is authorized anyway
+		Auth.setPermissions(['/editor']);
+		setCurrentRoute('/editor');
+		$rootScope.$broadcast('$routeChangeStart', {$$route: $route.routes['/editor'], params: {}}, $route.current);
+		Auth.setPermissions(['/other']);
+		$rootScope.$apply();
+		expect($location.path()).toBe('/editor');
+		$rootScope.$broadcast('$routeChangeSuccess', $route.current);
+		Auth.setPermissions([]);
+		$rootScope.$apply();
+		expect($location.path()).toBe('/');
+		delete $route.routes['/editor'];
+	}));
+
+	it('can poll permissions from URLs', inject(function ($httpBackend, $interval, $rootScope) {
+		var changes = 0;
+		$rootScope.$on('tmixSecurity:permissionsChanged', function () {
+			changes++;
+		});
+		setCurrentRoute('/grab-from-url');
+		var current = {canView: ['1']};
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond(function () {
+			return [200, current];
+		});
+		Auth.getPermissions();
+		$httpBackend.flush();
+		expect(changes).toBe(1);
+		Auth.setPermissionsPolling(1000);
+		$interval.flush(1000);
+		$httpBackend.flush();
+		expect(changes).toBe(1);
+		current = {canView: ['2']};
+		$interval.flush(1000);
+		$httpBackend.flush();
+		expect(changes).toBe(2);
+		expect(Auth.isAuthorized('canView/2')).toBe(true);
+		Auth.setPermissionsPolling(0);
+		$interval.flush(1000);
+		$httpBackend.verifyNoOutstandingRequest();
+	}));
+
+	it('can synchronize permissions with other tabs', inject(function ($httpBackend, $interval, $rootScope, $window) {
+		var channels = [];
+		var FakeChannel = function (name) {
+			this.name = name;
+			this.sent = [];
+			channels.push(this);
+		};
+		FakeChannel.prototype.postMessage = function (data) {
+			this.sent.push(angular.fromJson(data));
+		};
+		FakeChannel.prototype.close = function () {
+			this.closed = true;
+		};
+		var broadcastChannel = Object.getOwnPropertyDescriptor($window, 'BroadcastChannel');
+		Object.defineProperty($window, 'BroadcastChannel', {configurable: true, writable: true, value: FakeChannel});
+		try {
+			Auth.clearPermissionsCache(); // off by default
+			Auth.setTabSync(true);
+			expect(channels.length).toBe(1);
+			var channel = channels[0];
+			expect(channel.name).toBe('tmixSecurity');
+			Auth.clearPermissionsCache('http://example.com/my-roles');
+			Auth.setPermissions({canView: ['1']}, '/set-permissions-on-route');
+			Auth.logout();
+			expect(channel.sent).toEqual([
+				{type: 'clear', url: 'http://example.com/my-roles'},
+				{type: 'permissions', routePath: '/set-permissions-on-route', permissions: {canView: ['1']}},
+				{type: 'logout'}
+			]);
+			// another tab retrieved new permissions: retrieve them again without passing it back
+			setCurrentRoute('/grab-from-url');
+			var current = {canView: ['1']};
+			$httpBackend.when('GET', 'http://example.com/my-roles').respond(function () {
+				return [200, current];
+			});
+			Auth.getPermissions();
+			$httpBackend.flush();
+			channel.sent = [];
+			current = {canView: ['2']};
+			channel.onmessage({data: angular.toJson({type: 'changed', url: 'http://example.com/my-roles'})});
+			$httpBackend.flush();
+			expect(Auth.isAuthorized('canView/2')).toBe(true);
+			expect(channel.sent).toEqual([]);
+			// this tab retrieved new permissions
+			current = {canView: ['3']};
+			Auth.setPermissionsPolling(1000);
+			$interval.flush(1000);
+			$httpBackend.flush();
+			Auth.setPermissionsPolling(0);
+			expect(channel.sent).toEqual([{type: 'changed', url: 'http://example.com/my-roles'}]);
+			// another tab logged out or changed route permissions
+			var loggedOut = false;
+			$rootScope.$on('tmixSecurity:logout', function () {
+				loggedOut = true;
+			});
+			channel.onmessage({data: angular.toJson({type: 'logout'})});
+			expect(loggedOut).toBe(true);
+			expect(Auth.isAuthorized('canView/3')).toBe(false);
+			channel.onmessage({data: angular.toJson({type: 'permissions', routePath: '/set-permissions-on-route', permissions: {canView: ['4']}})});
+			expect(Auth.getPermissionsFromRoute('/set-permissions-on-route')).toEqual({canView: ['4']});
+			expect(channel.sent.length).toBe(1);
+			Auth.setTabSync(false);
+			expect(channel.closed).toBe(true);
+		}
+		finally {
+			Auth.setTabSync(false);
+			Auth.setPermissionsPolling(0);
+			restoreProperty($window, 'BroadcastChannel', broadcastChannel);
+			delete $route.routes['/set-permissions-on-route'].permissions;
+		}
+	}));
+
+	it('can synchronize tabs with storage events', inject(function ($rootScope, $window) {
+		var listener;
+		spyOn($window, 'addEventListener').andCallFake(function (type, callback) {
+			listener = callback;
+		});
+		var stored = [];
+		var localStorage = Object.getOwnPropertyDescriptor($window, 'localStorage');
+		var broadcastChannel = Object.getOwnPropertyDescriptor($window, 'BroadcastChannel');
+		Object.defineProperty($window, 'localStorage', {configurable: true, value: {
+			setItem: function (key, value) {
+				stored.push([key, angular.fromJson(angular.fromJson(value).data)]);
+			},
+			removeItem: angular.noop
+		}});
+		Object.defineProperty($window, 'BroadcastChannel', {configurable: true, writable: true, value: undefined}); // older browsers
+		try {
+			Auth.setTabSync(true, 'app');
+			Auth.logout();
+			expect(stored).toEqual([['app.message', {type: 'logout'}]]);
+			var changes = [];
+			$rootScope.$on('tmixSecurity:permissionsChanged', function (event, data) {
+				changes.push(data);
+			});
+			listener({key: 'other', newValue: '{}'});
+			listener({key: 'app.message', newValue: null});
+			listener({key: 'app.message', newValue: angular.toJson({id: 1, data: angular.toJson({type: 'clear', url: 'http://example.com/my-roles'})})});
+			expect(changes).toEqual([{url: 'http://example.com/my-roles'}]);
+		}
+		finally {
+			Auth.setTabSync(false);
+			restoreProperty($window, 'localStorage', localStorage);
+			restoreProperty($window, 'BroadcastChannel', broadcastChannel);
+		}
+	}));
+
+	it('can authorize with named policies', inject(function ($location, $q, $rootScope) {
+		Auth.setUser(function (permissions) {
+			return permissions.user;
+		});
+		Auth.definePolicy('document.edit', function (user, document, permissions) {
+			return document.owner === user.id || user.teams.indexOf(document.team) !== -1;
+		});
+		$route.routes['/documents'] = {originalPath: '/documents'};
+		Auth.setPermissions({user: {id: 1, teams: ['a']}}, '/documents');
+		expect(Auth.can('document.edit', {owner: 1}, '/documents')).toBe(true);
+		expect(Auth.can('document.edit', {owner: 2, team: 'a'}, '/documents')).toBe(true);
+		expect(Auth.can('document.edit', {owner: 2, team: 'b'}, '/documents')).toBe(false);
+		expect(function () { Auth.can('document.delete', {owner: 1}, '/documents'); }).toThrow('Unknown policy: document.delete; define it with definePolicy("document.delete", function (user, resource, permissions) {...})');
+		// asynchronous policies
+		Auth.definePolicy('document.share', function (user, document) {
+			return $q.when(document.public);
+		});
+		var shared;
+		Auth.can('document.share', {public: 'yes'}, '/documents').then(function (allowed) {
+			shared = allowed;
+		});
+		$rootScope.$apply();
+		expect(shared).toBe(true);
+		// routes
+		$route.routes['/documents/:documentId/edit'] = {
+			permissions: {user: {id: 1, teams: []}},
+			policy: 'document.edit',
+			policyResource: function (routeParams) {
+				return $q.when({owner: Number(routeParams.documentId)});
+			},
+			deniedRoute: '/',
+			originalPath: '/documents/:documentId/edit'
+		};
+		var authorize = function (documentId) {
+			var result;
+			setCurrentRoute('/documents/:documentId/edit');
+			setCurrentParams({documentId: documentId});
+			Auth.authorizeOrRedirect().then(function (authorized) {
+				result = authorized;
+			}, function (reason) {
+				result = reason;
+			});
+			$rootScope.$apply();
+			return result;
+		};
+		Auth.setDecisionSink('buffer');
+		expect(authorize('1')).toBe(true);
+		expect(Auth.getDecisions()[0].strategy).toBe('policy');
+		expect(Auth.getDecisions()[0].query).toBe('document.edit');
+		expect(authorize('2')).toBe(false);
+		expect($location.path()).toBe('/');
+		$route.routes['/documents/:documentId/edit'].policy = 'document.remove';
+		expect(Auth.audit().unknownPolicies).toEqual([{routePath: '/documents/:documentId/edit', policy: 'document.remove'}]);
+		expect(authorize('1').message).toBe('Unknown policy: document.remove on: /documents/:documentId/edit; define it with definePolicy()');
+		delete $route.routes['/documents/:documentId/edit'];
+		delete $route.routes['/documents'];
+	}));
+
+	it('can read permissions from a token', inject(function ($location, $rootScope, $timeout, $window) {
+		var createToken = function (payload) {
+			var encoded = $window.btoa(unescape(encodeURIComponent(angular.toJson(payload))));
+			return 'header.' + encoded.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '') + '.signature';
+		};
+		var token = createToken({sub: 'zoë', scope: 'canView/1 canEdit/1', realm_access: {roles: ['editor']}});
+		// from a function, mapping a space separated claim
+		Auth.setPermissionsToken({token: function () { return token; }, claim: 'scope'});
+		expect(Auth.getPermissionsSync('/no-permissions')).toEqual(['canView/1', 'canEdit/1']);
+		expect(Auth.isAuthorized('canEdit/1', '/no-permissions')).toBe(true);
+		expect(Auth.explain('canEdit/1', '/no-permissions').source).toBe('token');
+		expect(Auth.getPermissionsSync('/')).toEqual({canView: ["..."], canEdit: [1, 2, 3]}); // routes keep their own permissions
+		// from storage, with a dotted claim
+		$window.localStorage.setItem('access_token', 'Bearer ' + token);
+		Auth.setPermissionsToken({storageKey: 'access_token', claim: 'realm_access.roles'});
+		expect(Auth.getPermissionsSync('/no-permissions')).toEqual(['editor']);
+		$window.localStorage.removeItem('access_token');
+		expect(Auth.getPermissionsSync('/no-permissions')).toBe(undefined);
+		// from a storage that cannot be accessed, e.g. with cookies blocked
+		var sessionStorage = Object.getOwnPropertyDescriptor($window, 'sessionStorage');
+		Object.defineProperty($window, 'sessionStorage', {configurable: true, get: function () {
+			throw new Error('SecurityError');
+		}});
+		try {
+			Auth.setPermissionsToken({storage: 'sessionStorage', storageKey: 'access_token'});
+			expect(Auth.getPermissionsSync('/no-permissions')).toBe(undefined);
+		}
+		finally {
+			restoreProperty($window, 'sessionStorage', sessionStorage);
+		}
+		// from a cookie, with a claim function
+		$window.document.cookie = 'jwt=' + token;
+		Auth.setPermissionsToken({cookie: 'jwt', claim: function (payload) { return {user: payload.sub}; }});
+		expect(Auth.getPermissionsSync('/no-permissions')).toEqual({user: 'zoë'});
+		$window.document.cookie = 'jwt=; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+		expect(function () { Auth.setPermissionsToken({claim: 'scope'}); }).toThrow();
+		// expired tokens send the user to log in
+		var now = Math.floor(new Date().getTime() / 1000);
+		token = createToken({scope: 'canView/1', exp: now - 1});
+		Auth.setPermissionsToken({token: function () { return token; }, claim: 'scope'});
+		Auth.setLoginRoute('/login');
+		setCurrentRoute('/no-permissions');
+		Auth.authorizeOrRedirect().catch(angular.noop);
+		$rootScope.$apply();
+		expect($location.path()).toBe('/login');
+		var timers = [];
+		spyOn($window, 'setTimeout').andCallFake(function (callback, delay) {
+			timers.push({callback: callback, delay: delay});
+			return timers.length;
+		});
+		token = createToken({scope: '/no-permissions', exp: now + 60});
+		setCurrentRoute('/no-permissions');
+		var authorized;
+		Auth.authorizeOrRedirect().then(function (result) {
+			authorized = result;
+		});
+		$rootScope.$apply();
+		expect(authorized).toBe(true);
+		var expired = false;
+		$rootScope.$on('tmixSecurity:tokenExpired', function () {
+			expired = true;
+		});
+		$timeout.flush(); // the expiry is not a $timeout, which would keep Protractor waiting
+		expect(expired).toBe(false);
+		expect(timers.length).toBe(1);
+		expect(timers[0].delay).toBeGreaterThan(58 * 1000);
+		timers[0].callback();
+		expect(expired).toBe(true);
+		expect($location.path()).toBe('/login');
+		expect(Auth.getReturnTo()).toBe('/no-permissions');
+		Auth.setPermissionsToken(null);
+		expect(Auth.getPermissionsFromRoute('/no-permissions')).toBe(undefined);
+	}));
+
+	it('can cache permissions per user', inject(function ($httpBackend, $rootScope) {
+		var changes = 0;
+		$rootScope.$on('tmixSecurity:permissionsChanged', function () {
+			changes++;
+		});
+		var user = 'alice';
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond(function () {
+			return [200, {canView: [user]}];
+		});
+		Auth.setUserIdentity('alice');
+		expect(changes).toBe(1);
+		Auth.getPermissions('/grab-from-url');
+		$httpBackend.flush();
+		Auth.setUserIdentity('bob');
+		expect(Auth.getUserIdentity()).toBe('bob');
+		expect(Auth.getPermissionsSync('/grab-from-url')).toBe(undefined);
+		user = 'bob';
+		Auth.getPermissions('/grab-from-url');
+		$httpBackend.flush();
+		expect(Auth.getPermissionsSync('/grab-from-url')).toEqual({canView: ['bob']});
+		Auth.setUserIdentity(function () {
+			return 'alice';
+		});
+		expect(Auth.getPermissionsSync('/grab-from-url')).toEqual({canView: ['alice']});
+		// permissions retrieved for a previous user are retrieved again for the new user
+		Auth.clearPermissionsCache();
+		var retrieved;
+		Auth.getPermissions('/grab-from-url').then(function (permissions) {
+			retrieved = permissions;
+		});
+		Auth.setUserIdentity('carol');
+		$httpBackend.flush(1);
+		user = 'carol';
+		$httpBackend.flush();
+		expect(retrieved).toEqual({canView: ['carol']});
+		expect(Auth.getPermissionsSync('/grab-from-url')).toEqual({canView: ['carol']});
+		Auth.setUserIdentity('alice');
+		expect(Auth.getPermissionsSync('/grab-from-url')).toBe(undefined);
+	}));
+
+	it('can log out, wiping permissions and state', inject(function ($httpBackend, $rootScope) {
+		var stored = {};
+		Auth.setPermissionsStorage({
+			getItem: function (key) { return stored[key]; },
+			setItem: function (key, value) { stored[key] = value; },
+			removeItem: function (key) { delete stored[key]; }
+		});
+		Auth.setDecisionSink('buffer');
+		Auth.setPermissionsFailurePolicy('cached');
+		Auth.setUserIdentity('alice');
+		Auth.setUser({id: 'alice'});
+		Auth.definePolicy('signedIn', function (user) {
+			return !!user;
+		});
+		expect(Auth.can('signedIn', {}, '/')).toBe(true);
+		var status = 200;
+		$httpBackend.when('GET', 'http://example.com/my-roles').respond(function () {
+			return [status, {canView: ['1']}];
+		});
+		Auth.getPermissions('/grab-from-url');
+		$httpBackend.flush();
+		expect(stored['tmixSecurity.permissions']).toContain('alice|http://example.com/my-roles');
+		Auth.setPermissions({canView: ['2']}, '/no-permissions');
+		Auth.setDefaultPermissions({canView: ['3']});
+		Auth.isAuthorized('canView/1', '/grab-from-url');
+		expect(Auth.getDecisions().length).toBe(1);
+		Auth.logout();
+		expect(Auth.getUserIdentity()).toBe(undefined);
+		expect(Auth.can('signedIn', {}, '/')).toBe(false);
+		expect(stored['tmixSecurity.permissions']).toBe(undefined);
+		expect(Auth.getPermissionsSync('/grab-from-url')).toBe(undefined);
+		expect(Auth.getPermissionsFromRoute('/no-permissions')).toBe(undefined);
+		expect($route.routes['/no-permissions'].hasOwnProperty('permissions')).toBe(false);
+		expect(Auth.getDecisions()).toEqual([]);
+		// the last retrieved permissions are gone too
+		status = 500;
+		var failed = false;
+		Auth.getPermissions('/grab-from-url').catch(function () {
+			failed = true;
+		});
+		$httpBackend.flush();
+		expect(failed).toBe(true);
+	}));
+
+	it('can impersonate another user', inject(function ($httpBackend, $rootScope) {
+		var events = [];
+		angular.forEach(['impersonationStarted', 'impersonationStopped'], function (name) {
+			$rootScope.$on('tmixSecurity:' + name, function (event, data) {
+				events.push([name, data.identity]);
+			});
+		});
+		Auth.setUserIdentity('admin');
+		Auth.impersonate('jane', {canView: ['9']});
+		expect(Auth.getUserIdentity()).toBe('jane');
+		expect(Auth.getImpersonation()).toBe('jane');
+		expect(Auth.isAuthorized('canView/9', '/')).toBe(true);
+		expect(Auth.explain('canView/9', '/').source).toBe('impersonation');
+		Auth.stopImpersonating();
+		expect(Auth.getUserIdentity()).toBe('admin');
+		expect(Auth.getImpersonation()).toBe(undefined);
+		expect(Auth.isAuthorized('canView/9', '/')).toBe(false);
+		expect(Auth.getPermissionsSync('/')).toEqual({canView: ["..."], canEdit: [1, 2, 3]});
+		// from a URL; the impersonated user's cached permissions are removed on exit
+		$httpBackend.expectGET('http://example.com/users/jane/permissions').respond({canEdit: ['4']});
+		Auth.impersonate('jane', 'http://example.com/users/jane/permissions');
+		Auth.getPermissions('/');
+		$httpBackend.flush();
+		expect(Auth.isAuthorized('canEdit/4', '/')).toBe(true);
+		Auth.stopImpersonating();
+		$httpBackend.expectGET('http://example.com/users/jane/permissions').respond({canEdit: ['5']});
+		Auth.impersonate('jane', 'http://example.com/users/jane/permissions');
+		Auth.getPermissions('/');
+		$httpBackend.flush();
+		expect(Auth.isAuthorized('canEdit/5', '/')).toBe(true);
+		Auth.logout();
+		expect(Auth.getImpersonation()).toBe(undefined);
+		expect(events).toEqual([['impersonationStarted', 'jane'], ['impersonationStopped', 'jane'], ['impersonationStarted', 'jane'], ['impersonationStopped', 'jane'], ['impersonationStarted', 'jane'], ['impersonationStopped', 'jane']]);
+		expect(function () { Auth.impersonate(); }).toThrow();
+	}));
+});
+
+describe('tmix-security with ui-router', function () {
+
+	/**
+	 * The SecurityProvider object
+	 * @type SecurityProvider
+	 */
+	var Auth;
+
+	/**
+	 * Setup fake states and transition hooks; ui-router itself is not loaded
+	 * @type object
+	 */
+	var states = {
+		'home': {
+			name: 'home',
+			url: '/',
+			permissions: ['/']
+		},
+		'edit': {
+			name: 'edit',
+			url: '/edit/:id',
+			permissions: {canEdit: ['1', '2']},
+			customAuthorization: function (query, permissions, state, stateParams) {
+				return permissions.canEdit.indexOf(stateParams.id) !== -1;
+			},
+			deniedRoute: 'edit-denied'
+		},
+		'forbidden': {
+			name: 'forbidden',
+			url: '/forbidden'
+		}
+	};
+	var $state = {
+		current: states.home,
+		params: {},
+		get: function (name) {
+			if (typeof name === 'undefined') {
+				return Object.keys(states).map(function (key) {
+					return states[key];
+				});
+			}
+			return states[name] || null;
+		},
+		href: function (name, params) {
+			return '#!' + states[name].url.replace(':id', params.id);
+		},
+		go: function () {},
+		target: function (name) {
+			return {target: name};
+		}
+	};
+	var transitionHooks = [];
+	var $transitions = {
+		onStart: function (criteria, hook) {
+			transitionHooks.push(hook);
+		}
+	};
+
+	beforeEach(module('tmix'));
+	beforeEach(function () {
+		module(function ($provide, tmixSecurityProvider) {
+			$provide.value('$state', $state);
+			$provide.value('$transitions', $transitions);
+			tmixSecurityProvider.setRouter('uiRouter');
+		});
+		transitionHooks = [];
+		$state.current = states.home;
+		$state.params = {};
+	});
+	beforeEach(inject(function (tmixSecurity) {
+		Auth = tmixSecurity;
+	}));
+
+	afterEach(inject(function ($rootScope) {
+		$rootScope.$apply(); // force promises, see http://stackoverflow.com/questions/20311118/
+	}));
+
+	// tests
+	it('should read permissions from state definitions', function () {
+		expect(Auth.getPermissionsFromRoute()).toEqual(['/']);
+		expect(Auth.getPermissionsFromRoute('edit')).toEqual({canEdit: ['1', '2']});
+		expect(function () { Auth.getPermissionsFromRoute('non-existent-state'); }).toThrow();
+	});
+
+	it('should pass $stateParams to custom authorization functions', function () {
+		$state.current = states.edit;
+		$state.params = {id: '2'};
+		expect(Auth.isAuthorized()).toBe(true);
+		$state.params = {id: '3'};
+		expect(Auth.isAuthorized()).toBe(false);
+	});
+
+	it('should redirect to the denied state', function () {
+		spyOn($state, 'go');
+		$state.current = states.edit;
+		$state.params = {id: '3'};
+		Auth.authorizeOrRedirect().then(function () {
+			expect('to not be here').toBe(false);
+		}, function (authorized) {
+			expect(authorized).toBe(false);
+			expect($state.go).toHaveBeenCalledWith('edit-denied', {}, {location: 'replace'});
+		});
+	});
+
+	it('can guard every state with permissions on $transitions.onStart', inject(function ($rootScope) {
+		var transitionTo = function (name, params) {
+			return transitionHooks[0]({
+				to: function () {
+					return states[name];
+				},
+				params: function () {
+					return params;
+				}
+			});
+		};
+		expect(transitionHooks.length).toBe(1);
+		// off by default
+		expect(transitionTo('edit', {id: '3'})).toBe(undefined);
+		Auth.setRouteGuard(true);
+		// allowed by the concrete URL in the permissions array
+		transitionTo('home', {}).then(function (redirect) {
+			expect(redirect).toBe(undefined);
+		});
+		// denied by the custom authorization, redirected to the denied state
+		transitionTo('edit', {id: '3'}).then(function (redirect) {
+			expect(redirect).toEqual({target: 'edit-denied'});
+		});
+		// public or unsecured states are not guarded
+		expect(transitionTo('forbidden', {})).toBe(undefined);
+		$rootScope.$apply();
+	}));
+
+	it('can inherit permissions from parent states', function () {
+		states['edit.notes'] = {name: 'edit.notes', url: '/notes'};
+		Auth.setRouteInheritance(true);
+		expect(Auth.getPermissionsFromRoute('edit.notes')).toEqual({canEdit: ['1', '2']});
+		expect(Auth.explain('anything', 'edit.notes').inheritedFrom).toBe('edit');
+		delete states['edit.notes'];
+	});
+
+	it('can audit states', function () {
+		var report = Auth.audit();
+		// without the route guard, no state is authorized before it is entered
+		expect(report.unguarded).toEqual([{routePath: 'home'}, {routePath: 'edit'}, {routePath: 'forbidden'}]);
+		expect(report.ok).toBe(false);
+	});
+});
+
+
+describe('tmix-security with ngRoute', function () {
+
+	beforeEach(module('ngRoute', 'tmix'));
+	beforeEach(module(function ($routeProvider, tmixSecurityProvider) {
+		$routeProvider
+			.when('/home', {})
+			.when('/foo', {})
+			.when('/redirect', {redirectTo: '/foo'})
+			.when('/forbidden', {})
+			.when('/page/:id/:section?', {permissions: {canView: ['3']}});
+		tmixSecurityProvider.setRouteGuard(true);
+		tmixSecurityProvider.setDefaultPermissions(['/home', '/foo', '/forbidden']);
+	}));
+
+	it('does not guard routes that redirect', inject(function ($location, $rootScope, $route) {
+		$location.path('/foo/'); // ngRoute adds a '/foo/' route redirecting to '/foo'
+		$rootScope.$digest();
+		expect($location.path()).toBe('/foo');
+		expect($route.current.$$route.originalPath).toBe('/foo');
+		$location.path('/redirect');
+		$rootScope.$digest();
+		expect($location.path()).toBe('/foo');
+		$location.path('/home');
+		$rootScope.$digest();
+		expect($location.path()).toBe('/home');
+	}));
+
+	it('can authorize concrete paths on the routes $routeProvider compiles', inject(function (tmixSecurity) {
+		expect(tmixSecurity.isAuthorized('canView/:id', '/page/3')).toBe(true);
+		expect(tmixSecurity.isAuthorized('canView/:id', '/page/4/comments')).toBe(false);
+		expect(tmixSecurity.getPermissionsFromRoute('/page/3/comments')).toEqual({canView: ['3']});
+	}));
+});
+
+
+describe('tmix-security startup', function () {
+
+	beforeEach(module('tmix'));
+
+	it('is not instantiated on startup when the chosen router is missing', function () {
+		module(function ($provide) {
+			$provide.value('$state', {}); // ui-router, without setRouter('uiRouter'); ngRoute's $route is missing
+		});
+		inject(function ($injector) {
+			expect($injector.has('$route')).toBe(false); // bootstrapped without instantiating the ngRoute adapter
+		});
+	});
+
+	it('passes failed requests on when the chosen router is missing', function () {
+		var provider;
+		module(function (tmixSecurityProvider) {
+			provider = tmixSecurityProvider;
+		});
+		inject(function ($http, $httpBackend) {
+			var reason;
+			var request = function (status) {
+				$httpBackend.expectGET('/api/reports').respond(status);
+				$http.get('/api/reports').catch(function (response) {
+					reason = response;
+				});
+				$httpBackend.flush();
+				return reason.status;
+			};
+			expect(request(500)).toBe(500);
+			provider.setHttpInterceptor(true);
+			expect(request(403)).toBe(403);
+		});
+	});
 });
@@ -0,0 +1,617 @@
+/**
+ * tmix-security core: the authorization policy used by the tmixSecurity
+ * provider, without any dependency on AngularJS, so that Node services and
+ * non-Angular code can evaluate the same permissions the same way. E.g.:
+ *
+ *	var policy = require('tmix-security').createPolicy();
+ *	policy.setRoles({editor: {permissions: ['canEdit/*']}});
+ *	policy.isAuthorized('canEdit/3', {permissions: ['editor']}) === true;
+ *	policy.isAuthorized('GET/route/1', {permissions: {GET: {route: [1, 2, 3]}}}) === true;
+ *
+ * Loaded with a <script> tag, it is available as the global tmixSecurityCore;
+ * it must be loaded before tmix-security.js.
+ *
+ *	More details at https://github.com/01org/tmix-security
+ */
+(function (root, factory) {
+	if (typeof define === 'function' && define.amd) {
+		define([], factory);
+	}
+	else if (typeof module === 'object' && module.exports) {
+		module.exports = factory();
+	}
+	else {
+		root.tmixSecurityCore = factory();
+	}
+}(this, function () {
+	'use strict';
+
+	/**
+	 * Create a policy: the configuration (custom authorization, default access,
+	 * token coercion, roles and named policies) and the methods that authorize with it
+	 * @returns {object}
+	 */
+	var createPolicy = function () {
+
+		/**
+		 * Authorize a query against some permissions and describe how it was
+		 * decided; strategies are tried in order:
+		 *	1. 'customRouteAuthorization': the context's customRouteAuthorization function
+		 *	2. 'customAuthorization': the function set with setCustomAuthorization()
+		 *	   (both are called like function(query, permissions, route, routeParams))
+		 *	   string queries (3-5) can be boolean expressions, see parseExpression(),
+		 *	   in which case the strategy is 'expression'
+		 *	3. 'roles': the query is granted by the user's roles, see setRoles()
+		 *	4. 'permissionsArray': the query is in a permissions array
+		 *	5. 'findIn': xpath-like search through a permissions object, see findIn()
+		 *	6. 'function': the query is a function, called like the custom authorization
+		 *	7. 'defaultAccess': otherwise, see setDefaultAccess()
+		 * @param {string|function} query
+		 * @param {object} context like {permissions, route, routeParams, delimiter, customRouteAuthorization}
+		 * @returns {object} like {strategy: 'findIn', result: true}
+		 */
+		var decide = function (query, context) {
+			context = context || {};
+			var permissions = context.permissions || {};
+			var route = context.route;
+			var routeParams = context.routeParams;
+			var delimiter = context.delimiter;
+			var decision = function (strategy, result) {
+				return {strategy: strategy, result: !!result};
+			};
+			// 1. check for custom route authorization
+			if (typeof context.customRouteAuthorization === 'function') {
+				return decision('customRouteAuthorization', context.customRouteAuthorization(query, permissions, route, routeParams));
+			}
+			// 2. check for custom authorization function
+			else if (hasCustomAuthorization()) {
+				return decision('customAuthorization', customAuthorization(query, permissions, route, routeParams));
+			}
+			// boolean expressions: authorize each query in the expression as below
+			else if (typeof query === 'string' && isExpression(query)) {
+				return decision('expression', evaluateExpression(parseExpression(query), function (leaf) {
+					return authorizeQueryString(leaf, permissions, routeParams, delimiter).result;
+				}));
+			}
+			// 3-5. string queries
+			else if (typeof query === 'string') {
+				return authorizeQueryString(query, permissions, routeParams, delimiter);
+			}
+			// 6. just use a function...
+			else if (typeof query === 'function') {
+				return decision('function', query(query, permissions, route, routeParams));
+			}
+			else {
+				return decision('defaultAccess', getDefaultAccess());
+			}
+		};
+
+		/**
+		 * Authorize a query, see decide()
+		 * @param {string|function} query
+		 * @param {object} context
+		 * @returns {boolean}
+		 */
+		var isAuthorized = function (query, context) {
+			return decide(query, context).result;
+		};
+
+		/**
+		 * Authorize a string query (steps 3-5 of decide())
+		 * @param {string} query
+		 * @param {object} permissions
+		 * @param {object} routeParams
+		 * @param {string} delimiter
+		 * @returns {object} like {strategy: 'findIn', result: true}
+		 */
+		var authorizeQueryString = function (query, permissions, routeParams, delimiter) {
+			query = interpolateParams(query, routeParams, delimiter);
+			// 3. role-based authorization: look for the query in the permissions granted by the user's roles
+			if (hasRoles() && isGrantedByRoles(query, permissions, delimiter)) {
+				return {strategy: 'roles', result: true};
+			}
+			// 4. default authorization: check for a route, 'page/2', in a permissions array, ['page/2', 'page/3', ...]
+			if (permissions instanceof Array) {
+				return {strategy: 'permissionsArray', result: permissions.indexOf(query) !== -1};
+			}
+			// 5. xpath-like search with a string on a permissions object
+			return {strategy: 'findIn', result: findIn(query, permissions, delimiter)};
+		};
+
+
+		/** EXPRESSIONS **/
+
+		/**
+		 * Determine whether a query is a boolean expression, like
+		 * 'canView/:id && !canDelete/:id' or '(GET/reports || admin) && !suspended'
+		 * @param {string} query
+		 * @returns {boolean}
+		 */
+		var isExpression = function (query) {
+			return /&&|\|\||^\s*[!(]/.test(query);
+		};
+
+		/**
+		 * Parse a boolean expression into a tree of {op: 'or'|'and', args: [...]},
+		 * {op: 'not', arg: ...} and {leaf: 'a/query'} nodes; '!' binds tighter than
+		 * '&&', which binds tighter than '||'. The most recently parsed expressions
+		 * are cached (see maxParsedExpressions).
+		 * @param {string} expression
+		 * @returns {object}
+		 */
+		var parseExpression = function (expression) {
+			if (parsedExpressions.hasOwnProperty(expression)) {
+				return parsedExpressions[expression];
+			}
+			var tokens = expression.match(/&&|\|\||!|\(|\)|[^\s&|!()]+/g) || [];
+			var position = 0;
+			var fail = function () {
+				throw new Error('Could not parse the authorization expression: ' + expression);
+			};
+			var parseBinary = function (operator, op, parseOperand) {
+				var args = [parseOperand()];
+				while (tokens[position] === operator) {
+					position++;
+					args.push(parseOperand());
+				}
+				return (args.length === 1) ? args[0] : {op: op, args: args};
+			};
+			var parseOr = function () {
+				return parseBinary('||', 'or', parseAnd);
+			};
+			var parseAnd = function () {
+				return parseBinary('&&', 'and', parseNot);
+			};
+			var parseNot = function () {
+				if (tokens[position] === '!') {
+					position++;
+					return {op: 'not', arg: parseNot()};
+				}
+				if (tokens[position] === '(') {
+					position++;
+					var node = parseOr();
+					if (tokens[position++] !== ')') {
+						fail();
+					}
+					return node;
+				}
+				var token = tokens[position++];
+				if (typeof token === 'undefined' || /^(&&|\|\||\))$/.test(token)) {
+					fail();
+				}
+				return {leaf: token};
+			};
+			var tree = parseOr();
+			if (position !== tokens.length) {
+				fail();
+			}
+			parsedExpressions[expression] = tree;
+			parsedOrder.push(expression);
+			if (parsedOrder.length > maxParsedExpressions) {
+				delete parsedExpressions[parsedOrder.shift()];
+			}
+			return tree;
+		};
+		var parsedExpressions = {};
+		var parsedOrder = []; // oldest first, so that interpolated expressions cannot grow the cache forever
+		var maxParsedExpressions = 200;
+
+		/**
+		 * Evaluate a parsed expression, short-circuiting '&&' and '||'
+		 * @param {object} node
+		 * @param {function} evaluateLeaf returns true or false for a leaf query
+		 * @returns {boolean}
+		 */
+		var evaluateExpression = function (node, evaluateLeaf) {
+			if (node.op === 'not') {
+				return !evaluateExpression(node.arg, evaluateLeaf);
+			}
+			if (node.op === 'and' || node.op === 'or') {
+				for (var i = 0; i < node.args.length; i++) {
+					var result = evaluateExpression(node.args[i], evaluateLeaf);
+					if (node.op === 'and' && !result) {
+						return false;
+					}
+					if (node.op === 'or' && result) {
+						return true;
+					}
+				}
+				return node.op === 'and';
+			}
+			return !!evaluateLeaf(node.leaf);
+		};
+
+
+		/** FINDING **/
+
+		/**
+		 * Find a query like 'path/2/22' in a permissions object; tokens are
+		 * property names (array indexes too, with the default token coercion) or
+		 * values in an array (compared using the token coercion, see
+		 * setTokenCoercion()) and may be wildcards:
+		 *	- '*' matches any one property or array value, e.g. 'GET/*'
+		 *	- '**' matches any number of levels (including none), e.g. 'GET/**'
+		 * @param {string} query
+		 * @param {object} object
+		 * @param {string} optionally specify a delimiter
+		 * @returns {Boolean}
+		 */
+		var findIn = function (query, object, delimiter) {
+			return findTokensIn(query.split(delimiter || '/'), 0, object);
+		};
+
+		/**
+		 * Recursive helper for findIn(); a cursor of 'true' marks a value found in
+		 * an array, which has no further levels
+		 * @param {array} tokens
+		 * @param {integer} index of the current token
+		 * @param {mixed} cursor
+		 * @returns {Boolean}
+		 */
+		var findTokensIn = function (tokens, index, cursor) {
+			// all tokens found...
+			if (index === tokens.length) {
+				return !!cursor;
+			}
+			var token = tokens[index];
+			var isArray = cursor instanceof Array;
+			var isObject = !isArray && cursor !== null && typeof cursor === 'object';
+			var children = [];
+			if (isArray) {
+				for (var i = 0; i < cursor.length; i++) {
+					children.push((cursor[i] !== null && typeof cursor[i] === 'object') ? cursor[i] : true);
+				}
+			}
+			else if (isObject) {
+				for (var key in cursor) {
+					children.push(cursor[key]);
+				}
+			}
+			// any number of levels: try skipping the wildcard, then descending into each child
+			if (token === '**') {
+				if (findTokensIn(tokens, index + 1, cursor)) {
+					return true;
+				}
+				for (var j = 0; j < children.length; j++) {
+					if (findTokensIn(tokens, index, children[j])) {
+						return true;
+					}
+				}
+				return false;
+			}
+			// any one level
+			if (token === '*') {
+				for (var k = 0; k < children.length; k++) {
+					if (findTokensIn(tokens, index + 1, children[k])) {
+						return true;
+					}
+				}
+				return false;
+			}
+			// is the token a property name (or an array index)?
+			if ((isObject || (isArray && tokenCoercion === 'index')) && typeof cursor[token] !== 'undefined') {
+				return findTokensIn(tokens, index + 1, cursor[token]);
+			}
+			// or is it in an array?
+			if (isArray) {
+				for (var m = 0; m < cursor.length; m++) {
+					if (matchesToken(cursor[m], token)) {
+						return findTokensIn(tokens, index + 1, true);
+					}
+				}
+			}
+			// not found...
+			return false;
+		};
+
+		/**
+		 * Replace ':param' tokens in a query with the matching route parameters,
+		 * e.g. 'canEdit/:id' becomes 'canEdit/3' on '/edit/3'; unknown parameters
+		 * are left in place
+		 * @param {string} query
+		 * @param {object} routeParams
+		 * @param {string} optionally specify a delimiter
+		 * @returns {string}
+		 */
+		var interpolateParams = function (query, routeParams, delimiter) {
+			var tokens = query.split(delimiter || '/');
+			for (var i = 0; i < tokens.length; i++) {
+				var name = tokens[i].charAt(0) === ':' ? tokens[i].substr(1) : null;
+				if (name && routeParams && typeof routeParams[name] !== 'undefined') {
+					tokens[i] = String(routeParams[name]);
+				}
+			}
+			return tokens.join(delimiter || '/');
+		};
+
+		/**
+		 * Set how a query token (always a string) is compared to a value in a
+		 * permissions array:
+		 *	- 'index' (default): match an array index first, then compare values
+		 *	  with ===, so 'canEdit/0' matches {canEdit: [1, 2, 3]} but 'canEdit/3' does not
+		 *	- 'string': compare as strings, so 'canEdit/3' matches {canEdit: [1, 2, 3]}
+		 *	- 'strict': compare with ===, so 'canEdit/1' only matches {canEdit: ['1']}
+		 *	- a function(value, token) returning true if they match
+		 * @param {string|function} coercion
+		 * @returns {undefined}
+		 */
+		var setTokenCoercion = function (coercion) {
+			if (typeof coercion !== 'function' && coercion !== 'index' && coercion !== 'string' && coercion !== 'strict') {
+				throw new Error("Unknown token coercion: " + coercion + "; use 'index', 'string', 'strict' or a function");
+			}
+			tokenCoercion = coercion;
+		};
+		var matchesToken = function (value, token) {
+			if (typeof tokenCoercion === 'function') {
+				return !!tokenCoercion(value, token);
+			}
+			else if (tokenCoercion === 'index' || tokenCoercion === 'strict') {
+				return value === token;
+			}
+			return value !== null && typeof value !== 'object' && String(value) === token;
+		};
+		var tokenCoercion = 'index';
+
+
+		/** CUSTOM AUTHORIZATION AND DEFAULT ACCESS **/
+
+		/**
+		 * Set a custom authorization method, called like
+		 * function(query, permissions, route, routeParams); it replaces every
+		 * strategy but custom route authorization, see decide()
+		 * @param {function} callbackFunction
+		 * @returns {undefined}
+		 */
+		var setCustomAuthorization = function (callbackFunction) {
+			customAuthorization = callbackFunction;
+		};
+		var hasCustomAuthorization = function () {
+			return (typeof customAuthorization === 'function');
+		};
+		var getCustomAuthorization = function () {
+			if (!hasCustomAuthorization()) {
+				throw new Error('CustomAuthorization is not a function; use setCustomAuthorization(yourAuthorizationFunction)');
+			}
+			return customAuthorization;
+		};
+		var customAuthorization;
+
+		/**
+		 * Set the default access: true will allow by default, false will deny by
+		 * default. If no access is set, the policy denies by default.
+		 * @param {boolean} allowOrDeny
+		 * @returns {undefined}
+		 */
+		var setDefaultAccess = function (allowOrDeny) {
+			defaultAccess = !!allowOrDeny;
+		};
+		var getDefaultAccess = function () {
+			return defaultAccess;
+		};
+		var defaultAccess = false;
+
+
+		/** ROLES **/
+
+		/**
+		 * Set up role-based authorization: map each role to the permission queries
+		 * it grants (which may use '*' and '**' wildcards, see findIn()) and,
+		 * optionally, to the roles it inherits. E.g.:
+		 *
+		 * policy.setRoles({
+		 *		viewer: {permissions: ['canView/**']},
+		 *		editor: {permissions: ['canEdit/**'], inherits: ['viewer']},
+		 *		admin: {permissions: ['**'], inherits: ['editor']}
+		 * });
+		 *
+		 * The user's roles are read from the permissions, see setRolesSource().
+		 * @param {object} roles
+		 * @returns {undefined}
+		 */
+		var setRoles = function (roles) {
+			roleDefinitions = roles || {};
+		};
+		var hasRoles = function () {
+			for (var role in roleDefinitions) {
+				return true;
+			}
+			return false;
+		};
+		var roleDefinitions = {};
+
+		/**
+		 * Set a function returning the user's roles from the permissions; by
+		 * default, the permissions themselves if they are an array (e.g. ['editor'])
+		 * or their 'roles' property (e.g. {roles: ['editor'], ...})
+		 * @param {function} callbackFunction
+		 * @returns {undefined}
+		 */
+		var setRolesSource = function (callbackFunction) {
+			rolesSource = callbackFunction;
+		};
+		var rolesSource = function (permissions) {
+			if (permissions instanceof Array) {
+				return permissions;
+			}
+			return (permissions && permissions.roles instanceof Array) ? permissions.roles : [];
+		};
+
+		/**
+		 * Return the user's roles, including inherited roles
+		 * @param {object} permissions
+		 * @returns {array}
+		 */
+		var getExpandedRoles = function (permissions) {
+			var expanded = [];
+			var expand = function (role) {
+				if (expanded.indexOf(role) !== -1) {
+					return; // already expanded; also stops inheritance cycles
+				}
+				expanded.push(role);
+				var inherits = (roleDefinitions[role] && roleDefinitions[role].inherits) || [];
+				for (var i = 0; i < inherits.length; i++) {
+					expand(inherits[i]);
+				}
+			};
+			var roles = rolesSource(permissions) || [];
+			for (var i = 0; i < roles.length; i++) {
+				expand(roles[i]);
+			}
+			return expanded;
+		};
+
+		/**
+		 * Determine whether a query is granted by the user's (expanded) roles
+		 * @param {string} query
+		 * @param {object} permissions
+		 * @param {string} delimiter
+		 * @returns {boolean}
+		 */
+		var isGrantedByRoles = function (query, permissions, delimiter) {
+			var roles = getExpandedRoles(permissions);
+			var queryTokens = query.split(delimiter || '/');
+			for (var i = 0; i < roles.length; i++) {
+				var granted = (roleDefinitions[roles[i]] && roleDefinitions[roles[i]].permissions) || [];
+				for (var j = 0; j < granted.length; j++) {
+					if (matchesGrant(granted[j].split(delimiter || '/'), 0, queryTokens, 0)) {
+						return true;
+					}
+				}
+			}
+			return false;
+		};
+
+		/**
+		 * Recursive helper for isGrantedByRoles(): match query tokens to the tokens
+		 * of a granted permission, where '*' matches one token and '**' any number
+		 * @param {array} grantTokens
+		 * @param {integer} g index of the current grant token
+		 * @param {array} queryTokens
+		 * @param {integer} q index of the current query token
+		 * @returns {boolean}
+		 */
+		var matchesGrant = function (grantTokens, g, queryTokens, q) {
+			if (g === grantTokens.length) {
+				return q === queryTokens.length;
+			}
+			if (grantTokens[g] === '**') {
+				return matchesGrant(grantTokens, g + 1, queryTokens, q) ||
+					(q < queryTokens.length && matchesGrant(grantTokens, g, queryTokens, q + 1));
+			}
+			if (q < queryTokens.length && (grantTokens[g] === '*' || grantTokens[g] === queryTokens[q])) {
+				return matchesGrant(grantTokens, g + 1, queryTokens, q + 1);
+			}
+			return false;
+		};
+
+		/**
+		 * Determine whether the user has any of the roles (directly or by inheritance)
+		 * @param {array} roles
+		 * @param {object} permissions
+		 * @returns {boolean}
+		 */
+		var hasAnyRole = function (roles, permissions) {
+			var expanded = getExpandedRoles(permissions);
+			for (var i = 0; i < roles.length; i++) {
+				if (expanded.indexOf(roles[i]) !== -1) {
+					return true;
+				}
+			}
+			return false;
+		};
+
+		/**
+		 * Determine whether the user has all of the roles (directly or by inheritance)
+		 * @param {array} roles
+		 * @param {object} permissions
+		 * @returns {boolean}
+		 */
+		var hasAllRoles = function (roles, permissions) {
+			var expanded = getExpandedRoles(permissions);
+			for (var i = 0; i < roles.length; i++) {
+				if (expanded.indexOf(roles[i]) === -1) {
+					return false;
+				}
+			}
+			return true;
+		};
+
+
+		/** NAMED POLICIES **/
+
+		/**
+		 * Define a named policy for rules that cannot be written as a path in
+		 * the permissions, e.g.:
+		 *
+		 * policy.definePolicy('document.edit', function (user, resource, permissions) {
+		 *		return resource.owner === user.id || user.teams.indexOf(resource.team) !== -1;
+		 * });
+		 *
+		 * A policy returns true or false or a promise (any thenable) of either;
+		 * defining a name again replaces its policy.
+		 * @param {string} name
+		 * @param {function} callbackFunction
+		 * @returns {undefined}
+		 */
+		var definePolicy = function (name, callbackFunction) {
+			if (typeof callbackFunction !== 'function') {
+				throw new Error('The policy ' + name + ' is not a function; use definePolicy(name, function (user, resource, permissions) {...})');
+			}
+			policies[name] = callbackFunction;
+		};
+		var hasPolicy = function (name) {
+			return policies.hasOwnProperty(name);
+		};
+		var policies = {};
+
+		/**
+		 * Determine whether a user may act on a resource according to a named
+		 * policy; throws if no policy has that name
+		 * @param {string} name
+		 * @param {object} user
+		 * @param {object} resource
+		 * @param {object} permissions
+		 * @returns {boolean|object} a boolean or, if the policy returned a promise, a promise of one
+		 */
+		var can = function (name, user, resource, permissions) {
+			if (!hasPolicy(name)) {
+				throw new Error('Unknown policy: ' + name + '; define it with definePolicy(' + JSON.stringify(name) + ', function (user, resource, permissions) {...})');
+			}
+			var result = policies[name](user, resource, permissions);
+			if (result && typeof result.then === 'function') {
+				return result.then(function (allowed) {
+					return !!allowed;
+				});
+			}
+			return !!result;
+		};
+
+		return {
+			can: can,
+			decide: decide,
+			definePolicy: definePolicy,
+			evaluateExpression: evaluateExpression,
+			findIn: findIn,
+			getCustomAuthorization: getCustomAuthorization,
+			getDefaultAccess: getDefaultAccess,
+			getExpandedRoles: getExpandedRoles,
+			hasAllRoles: hasAllRoles,
+			hasAnyRole: hasAnyRole,
+			hasCustomAuthorization: hasCustomAuthorization,
+			hasPolicy: hasPolicy,
+			interpolateParams: interpolateParams,
+			isAuthorized: isAuthorized,
+			isExpression: isExpression,
+			parseExpression: parseExpression,
+			setCustomAuthorization: setCustomAuthorization,
+			setDefaultAccess: setDefaultAccess,
+			setRoles: setRoles,
+			setRolesSource: setRolesSource,
+			setTokenCoercion: setTokenCoercion
+		};
+	};
+
+	return {
+		createPolicy: createPolicy
+	};
+}));
@@ -13,6 +13,8 @@
  *		...
  *		$scope.showEditButton = tmixSecurity.isAuthorized('PUT/resource/' + id);
  *		// in this case, our route permissions would need to be something like {PUT: {resource: [1, 2, 3]}}
+ *	3. changing UI element behavior in templates:
+ *		<button tmix-authorize-disable="'PUT/resource/' + id">Edit</button>
  *	
  *	The isAuthorized method allows for several ways to customize how authorization
  *	happens; see documentation for isAuthorized.
@@ -20,6 +22,10 @@
  *	More details at https://github.com/01org/tmix-security
  */
 
+if (typeof tmixSecurityCore === 'undefined') {
+	throw new Error('tmix-security requires tmix-security-core.js; load it before tmix-security.js');
+}
+
 try {
 	angular.module('tmix'); // test if the module exists...
 }
@@ -27,7 +33,7 @@ catch (err) {
 	angular.module('tmix', []); // ...or create it
 }
 
-angular.module('tmix').provider('tmixSecurity', function () {
+angular.module('tmix').provider('tmixSecurity', ['$httpProvider', function ($httpProvider) {
 
 	/**
 	 * Store injected services; available after $get runs
@@ -35,6 +41,13 @@ angular.module('tmix').provider('tmixSecurity', function () {
 	 */
 	var injects = {};
 
+	/**
+	 * The authorization policy: findIn(), the isAuthorized() strategies, roles,
+	 * custom authorization and default access; see tmix-security-core.js
+	 * @type object
+	 */
+	var policy = tmixSecurityCore.createPolicy();
+
 	/**
 	 * Store default permissions; will be overriden by specific permissions
 	 * on a route
@@ -43,8 +56,9 @@ angular.module('tmix').provider('tmixSecurity', function () {
 	var defaultPermissions;
 
 	/**
-	 * Store permissions retrieved from the server with each URL as the key
-	 * @type injects.$cacheFactory
+	 * Store permissions retrieved from the server with each URL as the key;
+	 * see the PERMISSIONS CACHE section
+	 * @type object
 	 */
 	var permissionsCache;
 
@@ -52,17 +66,53 @@ angular.module('tmix').provider('tmixSecurity', function () {
 	 * Get the permissions for the given route, or the current route; this method
 	 * always returns a promise to the permissions.
 	 * @param {string} A valid route like '/page/:id' (not '/page/3'); if not set, will use the current route
+	 * @param {object} optionally specify the route parameters for URL templates; if not set, will use the current parameters
 	 * @returns {object} Either the permissions or a promise to them
 	 */
-	var getPermissions = function (routePath) {
-		// collect permissions from route object
-		var routePermissions = getPermissionsFromRoute(routePath);
+	var getPermissions = function (routePath, routeParams) {
+		var resolved = resolveRoutePath(routePath || getCurrentRoutePath(), routeParams);
+		routePath = resolved.routePath;
+		routeParams = resolved.routeParams;
+		var sources = getPermissionsSources(routePath);
+		if (sources.length === 1) {
+			return getSourcePermissions(sources[0], routePath, routeParams);
+		}
+		// case: several sources, retrieved in parallel and merged in order
+		log('Merging permissions from ' + sources.length + ' sources for route: ' + routePath);
+		var promises = [];
+		for (var i = 0; i < sources.length; i++) {
+			promises.push(getSourcePermissions(sources[i], routePath, routeParams));
+		}
+		return injects.$q.all(promises).then(mergePermissions);
+	};
+
+	/**
+	 * Get the permissions from one source (a URL or an object), see getPermissions()
+	 * @param {string|object} source
+	 * @param {string} routePath
+	 * @param {object} routeParams
+	 * @returns {$q.promise}
+	 */
+	var getSourcePermissions = function (source, routePath, routeParams) {
+		// case: permissions from a token; like a 401 if there is none (see setPermissionsToken())
+		if (source === tokenSource) {
+			var tokenPermissions = getTokenPermissions();
+			return (typeof tokenPermissions === 'undefined') ? injects.$q.reject({status: 401}) : injects.$q.when(tokenPermissions);
+		}
+		// collect the permissions URL, if any, from the source
+		var url = (typeof source === 'string') ? fillPermissionsUrl(source, routeParams) : undefined;
 		// attempt to retrieve a URL from cache 
-		var permissions = getPermissionsSync(routePath);
+		var permissions = getSourcePermissionsSync(source, routePath, routeParams);
 		// case: cache miss
-		if (typeof routePermissions === 'string' && typeof permissions === 'undefined') {
+		if (url && typeof permissions === 'undefined') {
 			log('Retrieving permissions from a URL; expect a promise for route: ' + routePath);
-			return retrievePermissions(routePermissions);
+			return retrievePermissions(url, routePath);
+		}
+		// case: expired cache entry; use it while retrieving fresh permissions
+		else if (url && permissionsCache.isExpired(url)) {
+			log('Using expired permissions while retrieving them again for route: ' + routePath);
+			retrievePermissions(url, routePath).catch(angular.noop); // failure is logged by retrievePermissions()
+			return injects.$q.when(permissions);
 		}
 		// case: send route permissions object
 		else {
@@ -74,13 +124,44 @@ angular.module('tmix').provider('tmixSecurity', function () {
 	 * Retrieve permissions synchronously--in other words, not as a promise. This
 	 * method can return undefined if the cache misses.
 	 * @param {string} A valid route like '/page/:id' (not '/page/3'); if not set, will use the current route
+	 * @param {object} optionally specify the route parameters for URL templates; if not set, will use the current parameters
 	 * @returns {object} Permissions object or undefined if cache misses
 	 */
-	var getPermissionsSync = function (routePath) {
-		var routePermissions = getPermissionsFromRoute(routePath);
+	var getPermissionsSync = function (routePath, routeParams) {
+		var resolved = resolveRoutePath(routePath || getCurrentRoutePath(), routeParams);
+		routePath = resolved.routePath;
+		routeParams = resolved.routeParams;
+		var sources = getPermissionsSources(routePath);
+		if (sources.length === 1) {
+			return getSourcePermissionsSync(sources[0], routePath, routeParams);
+		}
+		// case: several sources; all of them must be available
+		var results = [];
+		for (var i = 0; i < sources.length; i++) {
+			var permissions = getSourcePermissionsSync(sources[i], routePath, routeParams);
+			if (typeof permissions === 'undefined') {
+				return undefined;
+			}
+			results.push(permissions);
+		}
+		return mergePermissions(results);
+	};
+
+	/**
+	 * Get the permissions from one source synchronously, see getPermissionsSync()
+	 * @param {string|object} source
+	 * @param {string} routePath
+	 * @param {object} routeParams
+	 * @returns {object} Permissions object or undefined if cache misses
+	 */
+	var getSourcePermissionsSync = function (source, routePath, routeParams) {
+		// case: permissions from a token, see setPermissionsToken()
+		if (source === tokenSource) {
+			return getTokenPermissions();
+		}
 		// case: route permissions as URL
-		if (typeof routePermissions === 'string') {
-			var permissions = permissionsCache.get(routePermissions);
+		if (typeof source === 'string') {
+			var permissions = permissionsCache.get(fillPermissionsUrl(source, routeParams));
 			if (permissions) {
 				log('Getting permissions from the cache for route: ' + routePath);
 			}
@@ -92,359 +173,2667 @@ angular.module('tmix').provider('tmixSecurity', function () {
 		// case: route permissions as object
 		else {
 			log('Getting permissions from an object for route: ' + routePath);
-			return routePermissions;
+			return source;
+		}
+	};
+
+	/**
+	 * List the sources (URLs or objects) of a route's permissions, in the
+	 * order they are merged. A route's 'permissions' is one source unless the
+	 * route sets 'mergePermissions: true', in which case it is an array of
+	 * sources (otherwise, an array is a list of routes, see isAuthorized()):
+	 * 
+	 *	.when('/project/:projectId', {
+	 *		...
+	 *		permissions: ['http://example.com/my-roles', 'http://example.com/projects/:projectId/my-roles', {canView: ['help']}],
+	 *		mergePermissions: true
+	 *	})
+	 *	
+	 * With layering on (see setPermissionsLayering()), the default permissions
+	 * come first and the route's are merged on top of them. With inheritance on
+	 * (see setRouteInheritance()), the sources may come from an ancestor route.
+	 * While impersonating with permissions (see impersonate()), those are the
+	 * only source.
+	 * @param {string} routePath
+	 * @returns {array}
+	 */
+	var getPermissionsSources = function (routePath) {
+		getRoute(routePath); // throws if the route does not exist
+		// case: the impersonated user's permissions replace every other source, see impersonate()
+		if (impersonation && typeof impersonation.permissions !== 'undefined') {
+			return [impersonation.permissions];
+		}
+		var defaults = (mergeDefaultPermissions && defaultPermissions instanceof Array) ? defaultPermissions : [defaultPermissions];
+		var declaringPath = getDeclaringRoutePath(routePath, 'permissions');
+		if (!declaringPath) {
+			return defaults;
+		}
+		var route = getRoute(declaringPath);
+		var sources = (route.mergePermissions && route.permissions instanceof Array) ? route.permissions : [route.permissions];
+		var layered = (typeof route.layerPermissions === 'boolean') ? route.layerPermissions : permissionsLayering;
+		return (layered && defaultPermissions) ? defaults.concat(sources) : sources;
+	};
+
+	/**
+	 * Merge route permissions on top of the default permissions instead of
+	 * replacing them; routes can override this with 'layerPermissions'
+	 * @param {boolean} onOrOff
+	 * @returns {undefined}
+	 */
+	var setPermissionsLayering = function (onOrOff) {
+		permissionsLayering = !!onOrOff;
+	};
+	var permissionsLayering = false;
+
+	/**
+	 * Deep-merge permissions in order: objects are merged key by key, arrays are
+	 * joined (without duplicates) and anything else is replaced by later values
+	 * @param {array} list
+	 * @returns {object}
+	 */
+	var mergePermissions = function (list) {
+		var merged;
+		for (var i = 0; i < list.length; i++) {
+			merged = mergeValues(merged, list[i]);
+		}
+		return merged;
+	};
+	var mergeValues = function (target, source) {
+		if (typeof source === 'undefined') {
+			return target;
+		}
+		if (target instanceof Array && source instanceof Array) {
+			return target.concat(source.filter(function (value) {
+				return target.indexOf(value) === -1;
+			}));
+		}
+		var isMap = function (value) {
+			return angular.isObject(value) && !(value instanceof Array);
+		};
+		if (isMap(target) && isMap(source)) {
+			var merged = angular.extend({}, target);
+			for (var key in source) {
+				if (source.hasOwnProperty(key)) {
+					merged[key] = mergeValues(target[key], source[key]);
+				}
+			}
+			return merged;
+		}
+		return source;
+	};
+
+	/**
+	 * Attempt to retrieve permissions from the route permissions object. Will
+	 * pull from the default permissions if the 'permissions' field is falsy.
+	 * E.g.:
+	 * 
+	 *	.when('/', {
+	 *		...
+	 *		resolve: ...,
+	 *		permissions: 'http://example.com/my-roles' // URL case
+	 *	})
+	 *	
+	 *	Or:
+	 *	
+	 *	.when('/', {
+	 *		...
+	 *		resolve: ...,
+	 *		permissions: {viewable: [1, 2, 3], editable: [2, 3]} // object case
+	 *	})
+	 *	
+	 * @param {string} A valid route like '/page/:id' (not '/page/3'); if not set, will use the current route
+	 * @returns {object|string}
+	 */
+	var getPermissionsFromRoute = function (routePath) {
+		routePath = resolveRoutePath(routePath || getCurrentRoutePath()).routePath;
+		getRoute(routePath); // throws if the route does not exist
+		var permissions = getRouteProperty(routePath, 'permissions');
+		if (!permissions) {
+			log('Using default permissions.');
+		}
+		if (!permissions && defaultPermissions === tokenSource) {
+			return getTokenPermissions();
+		}
+		return permissions || defaultPermissions; // use default permissions if necessary
+	};
+
+	/**
+	 * Return the URL to retrieve a route's permissions from (or undefined if
+	 * the permissions are not a URL); ':param' placeholders in the URL are
+	 * filled from the route parameters, e.g.:
+	 * 
+	 *	.when('/project/:projectId', {
+	 *		...
+	 *		permissions: 'http://example.com/projects/:projectId/my-roles'
+	 *	})
+	 *	
+	 * @param {string} A valid route like '/page/:id' (not '/page/3'); if not set, will use the current route
+	 * @param {object} if not set, will use the current parameters
+	 * @returns {string}
+	 */
+	var getPermissionsUrl = function (routePath, routeParams) {
+		var routePermissions = getPermissionsFromRoute(routePath);
+		if (typeof routePermissions !== 'string') {
+			return undefined;
+		}
+		return fillPermissionsUrl(routePermissions, routeParams);
+	};
+
+	/**
+	 * Return every URL that a route's permissions are retrieved from, see
+	 * getPermissionsSources()
+	 * @param {string} routePath
+	 * @param {object} routeParams
+	 * @returns {array}
+	 */
+	var getPermissionsUrls = function (routePath, routeParams) {
+		var sources = getPermissionsSources(routePath || getCurrentRoutePath());
+		var urls = [];
+		for (var i = 0; i < sources.length; i++) {
+			if (typeof sources[i] === 'string') {
+				urls.push(fillPermissionsUrl(sources[i], routeParams));
+			}
+		}
+		return urls;
+	};
+
+	/**
+	 * Fill the ':param' placeholders in a permissions URL from the route parameters
+	 * @param {string} url
+	 * @param {object} routeParams if not set, will use the current parameters
+	 * @returns {string}
+	 */
+	var fillPermissionsUrl = function (url, routeParams) {
+		routeParams = routeParams || injects.router.getCurrentParams() || {};
+		return url.replace(/:([A-Za-z_]\w*)/g, function (placeholder, name) {
+			if (typeof routeParams[name] === 'undefined') {
+				log('Could not find a route parameter for ' + placeholder + ' in: ' + url);
+				return placeholder;
+			}
+			return encodeURIComponent(routeParams[name]);
+		});
+	};
+
+	/**
+	 * Retrieve the current user's permissions from a URL; helper method for
+	 * getPermissions(). Concurrent calls for the same URL share one request;
+	 * if the user changes while waiting, they are retrieved again for the new
+	 * user.
+	 * @param {string} url
+	 * @param {string} optionally, the route whose 'permissionsRequest' applies
+	 * @returns {$q.defer.promise}
+	 */
+	var retrievePermissions = function (url, routePath) {
+		// the user may change (or log out) while waiting; see setUserIdentity()
+		var key = scopeKey(url);
+		var generation = userGeneration;
+		if (pendingRetrievals[key]) {
+			log('Waiting for pending permissions from: ' + url);
+			return pendingRetrievals[key];
+		}
+		var deferred = injects.$q.defer();
+		pendingRetrievals[key] = deferred.promise;
+		var request = function (attempt) {
+			injects.$http(getPermissionsRequest(url, routePath))
+				.then(function(response) {
+					var permissions = permissionsTransform ? permissionsTransform(response.data, response) : response.data;
+					log('Permissions returned from: ' + url);
+					delete pendingRetrievals[key];
+					if (generation !== userGeneration || key !== scopeKey(url)) {
+						log('The user changed while retrieving permissions; retrieving them again.');
+						deferred.resolve(retrievePermissions(url, routePath));
+						return;
+					}
+					var previous = permissionsCache.get(url);
+					var changed = !angular.equals(previous, permissions);
+					var fromTab = syncedUrls[url];
+					delete syncedUrls[url];
+					permissionsCache.put(url, permissions);
+					lastRetrievedPermissions[key] = permissions;
+					deferred.resolve(permissions);
+					announce('permissionsLoaded', {url: url, permissions: permissions});
+					if (changed) {
+						announce('permissionsChanged', {url: url});
+					}
+					// tell other tabs to retrieve updated permissions again, unless they told us
+					if (changed && typeof previous !== 'undefined' && !fromTab) {
+						shareWithTabs({type: 'changed', url: url});
+					}
+				})
+				.catch(function(response) {
+					// case: retry with backoff
+					if (attempt < permissionsRetries) {
+						var delay = permissionsRetryDelay * Math.pow(2, attempt);
+						log('Failed to retrieve permissions from: ' + url + '; retrying in ' + delay + 'ms');
+						injects.$timeout(function () {
+							request(attempt + 1);
+						}, delay);
+						return;
+					}
+					log('Failed to retrieve permissions from: ' + url);
+					delete pendingRetrievals[key]; // so that the next call retries
+					delete syncedUrls[url];
+					// case: fall back to the last retrieved permissions, expired so they are retrieved again next time
+					if (failurePolicy === 'cached' && lastRetrievedPermissions.hasOwnProperty(key) && generation === userGeneration) {
+						log('Using the last retrieved permissions from: ' + url);
+						permissionsCache.put(url, lastRetrievedPermissions[key], 0);
+						deferred.resolve(lastRetrievedPermissions[key]);
+					}
+					else {
+						deferred.reject(response);
+					}
+				});
+		};
+		request(0);
+		return deferred.promise;
+	};
+
+	/**
+	 * Set the $http config used to retrieve permissions, e.g. headers, params
+	 * or a method and data; routes can override it with 'permissionsRequest'
+	 * (headers and params are merged). E.g.:
+	 * 
+	 * tmixSecurityProvider.setPermissionsRequest({headers: {Authorization: 'Bearer ...'}});
+	 * $routeProvider.when('/project/:projectId', {
+	 *		...
+	 *		permissions: 'http://example.com/projects/:projectId/my-roles',
+	 *		permissionsRequest: {method: 'POST', data: {include: 'roles'}}
+	 * });
+	 * 
+	 * @param {object} config
+	 * @returns {undefined}
+	 */
+	var setPermissionsRequest = function (config) {
+		permissionsRequest = config || {};
+	};
+	var permissionsRequest = {};
+
+	/**
+	 * Build the $http config for retrieving permissions from a URL
+	 * @param {string} url
+	 * @param {string} routePath
+	 * @returns {object}
+	 */
+	var getPermissionsRequest = function (url, routePath) {
+		var routeRequest = (routePath && routeExists(routePath) && getRoute(routePath).permissionsRequest) || {};
+		return angular.extend({method: 'GET', withCredentials: true}, permissionsRequest, routeRequest, {
+			url: url,
+			headers: angular.extend({}, permissionsRequest.headers, routeRequest.headers),
+			params: angular.extend({}, permissionsRequest.params, routeRequest.params),
+			tmixSecurity: true // flagged so the interceptor ignores it
+		});
+	};
+
+	/**
+	 * Set a function to normalize retrieved permissions before they are
+	 * cached, e.g. to unwrap an envelope:
+	 * 
+	 * tmixSecurityProvider.setPermissionsTransform(function(data, response){
+	 *		return data.result.permissions;
+	 * });
+	 * 
+	 * @param {function} callbackFunction
+	 * @returns {undefined}
+	 */
+	var setPermissionsTransform = function (callbackFunction) {
+		permissionsTransform = callbackFunction;
+	};
+	var permissionsTransform;
+
+	/**
+	 * Store the last permissions retrieved from each URL (see scopeKey());
+	 * unlike the cache, this is not cleared by clearPermissionsCache(), see
+	 * setPermissionsFailurePolicy()
+	 * @type object
+	 */
+	var lastRetrievedPermissions = {};
+
+	/**
+	 * Store promises for permissions being retrieved, with each URL (see
+	 * scopeKey()) as the key
+	 * @type object
+	 */
+	var pendingRetrievals = {};
+
+	/**
+	 * Set the permissions for a route (or the current route, if unspecified)
+	 * @param {object} permissions
+	 * @param {string} a valid route, like '/page/:id' (not '/page/3')
+	 * @returns {undefined}
+	 */
+	var setPermissions = function (permissions, routePath) {
+		routePath = resolveRoutePath(routePath || getCurrentRoutePath()).routePath;
+		log('Manually set permissions on: ' + routePath);
+		replaceRoutePermissions(routePath, permissions);
+		shareWithTabs({type: 'permissions', routePath: routePath, permissions: permissions});
+	};
+	var replaceRoutePermissions = function (routePath, permissions) {
+		var route = getRoute(routePath);
+		// keep the configured permissions for logout()
+		if (injects.$rootScope && !configuredPermissions.hasOwnProperty(routePath)) {
+			configuredPermissions[routePath] = route.permissions;
+		}
+		route.permissions = permissions;
+		announce('permissionsChanged', {routePath: routePath});
+	};
+
+	/**
+	 * Set the default permissions; like a route's 'mergePermissions', pass
+	 * merge = true to set an array of sources (URLs or objects) to merge
+	 * @param {object} permissions
+	 * @param {boolean} merge
+	 * @returns {undefined}
+	 */
+	var setDefaultPermissions = function (permissions, merge) {
+		log('Manually set default permissions; these will be overriden by any specified route permissions.');
+		replaceDefaultPermissions(permissions, merge);
+		shareWithTabs({type: 'defaultPermissions', permissions: permissions, merge: mergeDefaultPermissions});
+	};
+	var replaceDefaultPermissions = function (permissions, merge) {
+		// keep the configured default permissions for logout()
+		if (injects.$rootScope && !configuredDefaults) {
+			configuredDefaults = {permissions: defaultPermissions, merge: mergeDefaultPermissions};
+		}
+		defaultPermissions = permissions;
+		mergeDefaultPermissions = !!merge;
+		announce('permissionsChanged', {defaultPermissions: true});
+	};
+	var mergeDefaultPermissions = false;
+
+	/**
+	 * Clear the retrieved permissions from the cache; this only affects
+	 * permissions retrieved from an URL (i.e. with retrievePermissions());
+	 * this means the next getPermissions() call will re-retrieve from the 
+	 * server.
+	 * @param {string} optionally, only clear the permissions retrieved from this URL
+	 * @returns {undefined}
+	 */
+	var clearPermissionsCache = function (url) {
+		removeCachedPermissions(url);
+		shareWithTabs({type: 'clear', url: url});
+	};
+	var removeCachedPermissions = function (url) {
+		if (url) {
+			permissionsCache.remove(url);
+		}
+		else {
+			permissionsCache.removeAll();
+		}
+		announce('permissionsChanged', url ? {url: url} : {});
+	};
+
+
+	/** USER SCOPE **/
+
+	/**
+	 * Set the identity of the current user (e.g. their ID), or a function
+	 * returning it, so that each user's retrieved permissions are cached
+	 * separately; when another user logs in on the same page, they never get
+	 * the previous user's permissions. Without an identity, the cache is shared.
+	 * @param {string|function} identity
+	 * @returns {undefined}
+	 */
+	var setUserIdentity = function (identity) {
+		var previous = getUserIdentity();
+		userIdentity = identity;
+		if (injects.$rootScope && getUserIdentity() !== previous) {
+			announce('permissionsChanged', {userIdentity: true});
+		}
+	};
+	var userIdentity;
+
+	/**
+	 * Get the identity of the current user, or of the impersonated user while
+	 * impersonating (see impersonate())
+	 * @returns {string}
+	 */
+	var getUserIdentity = function () {
+		if (impersonation) {
+			return impersonation.identity;
+		}
+		return (typeof userIdentity === 'function') ? userIdentity() : userIdentity;
+	};
+
+	/**
+	 * Get the key to cache a URL's permissions under for the current user
+	 * @param {string} url
+	 * @returns {string}
+	 */
+	var scopeKey = function (url) {
+		var identity = getUserIdentity();
+		return (typeof identity === 'undefined' || identity === null) ? url : identity + '|' + url;
+	};
+
+	/**
+	 * Incremented on logout so that permissions retrieved for the previous
+	 * user are not cached
+	 * @type number
+	 */
+	var userGeneration = 0;
+
+	/**
+	 * Log the current user out: stops impersonating, forgets the user identity
+	 * and the user passed to named policies (unless they are functions, see
+	 * setUserIdentity() and setUser()) and wipes the user's permissions and state:
+	 *	- permissions set with setPermissions() or setDefaultPermissions()
+	 *	  since startup, which are restored to their configured values
+	 *	- the permissions cache, for every user, and persisted permissions
+	 *	- the permissions kept for the 'cached' failure policy
+	 *	- the decoded token (the token itself belongs to the application)
+	 *	- the decisions buffer and the return URL
+	 * Then broadcasts 'tmixSecurity:impersonationStopped' (if impersonating) and
+	 * 'tmixSecurity:logout' and, with tab sync, logs out other tabs.
+	 * @returns {undefined}
+	 */
+	var logout = function () {
+		forgetUser();
+		shareWithTabs({type: 'logout'});
+	};
+	var forgetUser = function () {
+		log('Logging out');
+		var impersonated = impersonation && impersonation.identity;
+		impersonation = undefined;
+		if (typeof userIdentity !== 'function') {
+			userIdentity = undefined;
+		}
+		if (typeof currentUser !== 'function') {
+			currentUser = undefined;
+		}
+		userGeneration++;
+		pendingRetrievals = {};
+		lastRetrievedPermissions = {};
+		restoreConfiguredPermissions();
+		forgetToken();
+		decisions = [];
+		returnTo = undefined;
+		removeCachedPermissions();
+		if (impersonated) {
+			announce('impersonationStopped', {identity: impersonated});
+		}
+		announce('logout', {});
+	};
+
+	/**
+	 * Restore the permissions replaced with setPermissions() or
+	 * setDefaultPermissions() since startup, see logout()
+	 * @returns {undefined}
+	 */
+	var restoreConfiguredPermissions = function () {
+		for (var routePath in configuredPermissions) {
+			if (configuredPermissions.hasOwnProperty(routePath)) {
+				var route = getRoute(routePath);
+				if (typeof configuredPermissions[routePath] === 'undefined') {
+					delete route.permissions;
+				}
+				else {
+					route.permissions = configuredPermissions[routePath];
+				}
+			}
+		}
+		configuredPermissions = {};
+		if (configuredDefaults) {
+			defaultPermissions = configuredDefaults.permissions;
+			mergeDefaultPermissions = configuredDefaults.merge;
+			configuredDefaults = undefined;
+		}
+	};
+	var configuredPermissions = {};
+	var configuredDefaults;
+
+	/**
+	 * Act as another user until stopImpersonating(): their identity scopes the
+	 * cache (see setUserIdentity()) and, if given, their permissions (an object
+	 * or a URL) replace the permissions of every route and the default
+	 * permissions. Otherwise, routes retrieve their permissions again under the
+	 * impersonated identity (e.g. the application sends it with
+	 * setPermissionsRequest()). E.g.:
+	 * 
+	 * tmixSecurity.impersonate('jane', 'http://example.com/users/jane/permissions');
+	 * 
+	 * Broadcasts 'tmixSecurity:impersonationStarted' with {identity}.
+	 * @param {string} identity
+	 * @param {object|string} permissions optionally, the impersonated user's permissions
+	 * @returns {undefined}
+	 */
+	var impersonate = function (identity, permissions) {
+		if (typeof identity === 'undefined' || identity === null) {
+			throw new Error('Pass the identity of the user to impersonate');
+		}
+		if (impersonation) {
+			endImpersonation();
+		}
+		log('Impersonating: ' + identity);
+		impersonation = {identity: identity, permissions: permissions};
+		announce('impersonationStarted', {identity: identity});
+		announce('permissionsChanged', {userIdentity: true});
+	};
+	var impersonation;
+
+	/**
+	 * Stop impersonating (see impersonate()): the impersonated user's cached
+	 * permissions are removed and the original user's are used again.
+	 * Broadcasts 'tmixSecurity:impersonationStopped' with {identity}.
+	 * @returns {undefined}
+	 */
+	var stopImpersonating = function () {
+		if (!impersonation) {
+			return;
+		}
+		var identity = endImpersonation();
+		announce('impersonationStopped', {identity: identity});
+		announce('permissionsChanged', {userIdentity: true});
+	};
+	var endImpersonation = function () {
+		var identity = impersonation.identity;
+		log('Stopped impersonating: ' + identity);
+		permissionsCache.removeScope(identity);
+		for (var key in lastRetrievedPermissions) {
+			if (key.indexOf(identity + '|') === 0) {
+				delete lastRetrievedPermissions[key];
+			}
+		}
+		impersonation = undefined;
+		return identity;
+	};
+
+	/**
+	 * Get the identity of the impersonated user, if any; see impersonate()
+	 * @returns {string} or undefined if not impersonating
+	 */
+	var getImpersonation = function () {
+		return impersonation ? impersonation.identity : undefined;
+	};
+
+
+	/** PERMISSIONS CACHE **/
+
+	/**
+	 * Set how long (in milliseconds) retrieved permissions stay fresh, for all
+	 * URLs or for one URL; by default they never expire. Once expired, cached
+	 * permissions are still used while getPermissions() retrieves them again.
+	 * @param {number} milliseconds
+	 * @param {string} optionally, only set the TTL for this URL
+	 * @returns {undefined}
+	 */
+	var setPermissionsTtl = function (milliseconds, url) {
+		if (url) {
+			urlTtls[url] = milliseconds;
+		}
+		else {
+			defaultTtl = milliseconds;
+		}
+	};
+	var defaultTtl;
+	var urlTtls = {};
+
+	/**
+	 * Persist retrieved permissions (e.g. across page reloads) in 'sessionStorage',
+	 * 'localStorage' or any object implementing getItem(key), setItem(key, value)
+	 * and removeItem(key); null (the default) keeps them in memory only
+	 * @param {string|object} storage
+	 * @returns {undefined}
+	 */
+	var setPermissionsStorage = function (storage) {
+		if (typeof storage === 'string' && storage !== 'sessionStorage' && storage !== 'localStorage') {
+			throw new Error('Unknown storage: ' + storage + "; use 'sessionStorage', 'localStorage' or a storage object");
+		}
+		permissionsStorage = storage;
+	};
+
+	/**
+	 * Retrieve the current route's permission URLs again every so many
+	 * milliseconds so that changes on the server are noticed (see the
+	 * 'tmixSecurity:permissionsChanged' event); 0 stops polling, the default
+	 * @param {number} milliseconds
+	 * @returns {undefined}
+	 */
+	var setPermissionsPolling = function (milliseconds) {
+		permissionsPolling = milliseconds || 0;
+		if (injects.$interval) {
+			startPolling();
+		}
+	};
+	var startPolling = function () {
+		if (pollingPromise) {
+			injects.$interval.cancel(pollingPromise);
+			pollingPromise = undefined;
+		}
+		if (permissionsPolling > 0) {
+			pollingPromise = injects.$interval(pollPermissions, permissionsPolling);
+		}
+	};
+	var pollPermissions = function () {
+		log('Polling permissions');
+		refreshCurrentPermissions();
+	};
+	var permissionsPolling = 0;
+	var pollingPromise;
+
+	/**
+	 * Retrieve the current route's permissions again from their URLs (or
+	 * only from one of them)
+	 * @param {string} optionally, only retrieve from this URL
+	 * @param {boolean} fromTab whether another tab asked for this, see setTabSync()
+	 * @returns {undefined}
+	 */
+	var refreshCurrentPermissions = function (url, fromTab) {
+		var routePath = getCurrentRoutePath();
+		if (!routePath || !routeExists(routePath)) {
+			return;
+		}
+		var urls = getPermissionsUrls(routePath);
+		for (var i = 0; i < urls.length; i++) {
+			if (url && urls[i] !== url) {
+				continue;
+			}
+			log('Retrieving permissions again from: ' + urls[i]);
+			if (fromTab) {
+				syncedUrls[urls[i]] = true;
+			}
+			retrievePermissions(urls[i], routePath).catch(angular.noop); // failure is logged by retrievePermissions()
+		}
+	};
+
+	var getPermissionsStorage = function () {
+		return (typeof permissionsStorage === 'string') ? injects.$window[permissionsStorage] : permissionsStorage;
+	};
+	var permissionsStorage = null;
+	var storageKey = 'tmixSecurity.permissions';
+
+	/**
+	 * Read all persisted cache entries, keyed by URL
+	 * @returns {object}
+	 */
+	var readStorage = function () {
+		try {
+			var storage = getPermissionsStorage();
+			return (storage && angular.fromJson(storage.getItem(storageKey))) || {};
+		}
+		catch (err) {
+			log('Could not read persisted permissions: ' + err.message);
+			return {};
+		}
+	};
+
+	/**
+	 * Persist a cache entry; an undefined entry removes it
+	 * @param {string} url
+	 * @param {object} entry
+	 * @returns {undefined}
+	 */
+	var writeStorage = function (url, entry) {
+		try {
+			var storage = getPermissionsStorage();
+			if (!storage) {
+				return;
+			}
+			var entries = readStorage();
+			entries[url] = entry;
+			storage.setItem(storageKey, angular.toJson(entries));
+		}
+		catch (err) {
+			log('Could not persist permissions: ' + err.message);
+		}
+	};
+
+	/**
+	 * Create the permissions cache: entries like {data: ..., expires: timestamp|null}
+	 * are kept in memory and, if set, in the permissions storage, under the
+	 * current user's key for each URL (see scopeKey())
+	 * @param {object} memory an injects.$cacheFactory cache
+	 * @returns {object}
+	 */
+	var createPermissionsCache = function (memory) {
+		var getEntry = function (url) {
+			var key = scopeKey(url);
+			var entry = memory.get(key);
+			if (!entry) {
+				entry = readStorage()[key];
+				if (entry) {
+					log('Restored persisted permissions for: ' + url);
+					memory.put(key, entry);
+					keys[key] = true;
+				}
+			}
+			return entry;
+		};
+		var keys = {}; // $cacheFactory caches cannot list their keys
+		return {
+			get: function (url) {
+				var entry = getEntry(url);
+				return entry ? entry.data : undefined;
+			},
+			isExpired: function (url) {
+				var entry = getEntry(url);
+				return !!entry && entry.expires !== null && new Date().getTime() >= entry.expires;
+			},
+			put: function (url, data, ttl) {
+				if (typeof ttl === 'undefined') {
+					ttl = urlTtls.hasOwnProperty(url) ? urlTtls[url] : defaultTtl;
+				}
+				var entry = {data: data, expires: (typeof ttl === 'number') ? new Date().getTime() + ttl : null};
+				memory.put(scopeKey(url), entry);
+				keys[scopeKey(url)] = true;
+				writeStorage(scopeKey(url), entry);
+			},
+			remove: function (url) {
+				memory.remove(scopeKey(url));
+				delete keys[scopeKey(url)];
+				writeStorage(scopeKey(url), undefined);
+			},
+			removeScope: function (identity) {
+				var prefix = identity + '|';
+				var persisted = readStorage();
+				for (var key in angular.extend({}, persisted, keys)) {
+					if (key.indexOf(prefix) === 0) {
+						memory.remove(key);
+						delete keys[key];
+						if (persisted.hasOwnProperty(key)) {
+							writeStorage(key, undefined);
+						}
+					}
+				}
+			},
+			removeAll: function () {
+				memory.removeAll();
+				keys = {};
+				try {
+					var storage = getPermissionsStorage();
+					if (storage) {
+						storage.removeItem(storageKey);
+					}
+				}
+				catch (err) {
+					log('Could not remove persisted permissions: ' + err.message);
+				}
+			}
+		};
+	};
+
+
+	/** TAB SYNC **/
+
+	/**
+	 * Turn synchronization between tabs (of the same origin) on or off: when
+	 * on, clearPermissionsCache(), setPermissions(), setDefaultPermissions(),
+	 * logout() and permissions retrieved with new values are passed on to the
+	 * other tabs, which clear the affected permissions and retrieve the
+	 * current route's permissions again. Uses a BroadcastChannel or, in older
+	 * browsers, 'storage' events on localStorage; permissions passed between
+	 * tabs must be JSON. Off by default.
+	 * @param {boolean} onOrOff
+	 * @param {string} optionally, the channel name; 'tmixSecurity' by default
+	 * @returns {undefined}
+	 */
+	var setTabSync = function (onOrOff, channelName) {
+		tabSync = !!onOrOff;
+		tabSyncName = channelName || 'tmixSecurity';
+		if (injects.$window) {
+			openTabSync();
+		}
+	};
+	var tabSync = false;
+	var tabSyncName = 'tmixSecurity';
+
+	/**
+	 * Open (or close, if tab sync is off) the channel to other tabs
+	 * @returns {undefined}
+	 */
+	var openTabSync = function () {
+		var $window = injects.$window;
+		if (tabChannel) {
+			tabChannel.close();
+			tabChannel = undefined;
+		}
+		if ($window.removeEventListener) {
+			$window.removeEventListener('storage', receiveStorageEvent);
+		}
+		if (!tabSync) {
+			return;
+		}
+		if (typeof $window.BroadcastChannel === 'function') {
+			tabChannel = new $window.BroadcastChannel(tabSyncName);
+			tabChannel.onmessage = function (event) {
+				receiveFromTab(event.data);
+			};
+		}
+		else if ($window.localStorage && $window.addEventListener) {
+			$window.addEventListener('storage', receiveStorageEvent);
+		}
+		else {
+			log('Tab sync is not supported by this browser');
+		}
+	};
+	var tabChannel;
+
+	/**
+	 * Send a message to the other tabs, if tab sync is on
+	 * @param {object} message like {type: 'clear', url: ...}
+	 * @returns {undefined}
+	 */
+	var shareWithTabs = function (message) {
+		if (!tabSync || !injects.$window) {
+			return;
+		}
+		var data = angular.toJson(message);
+		try {
+			if (tabChannel) {
+				tabChannel.postMessage(data);
+			}
+			else if (injects.$window.localStorage) {
+				// other tabs receive a 'storage' event; the ID makes repeated messages differ
+				var key = tabSyncName + '.message';
+				injects.$window.localStorage.setItem(key, angular.toJson({id: new Date().getTime() + '-' + Math.random(), data: data}));
+				injects.$window.localStorage.removeItem(key);
+			}
+		}
+		catch (err) {
+			log('Could not send to other tabs: ' + err.message);
+		}
+	};
+
+	/**
+	 * Handle a 'storage' event, see shareWithTabs()
+	 * @param {StorageEvent} event
+	 * @returns {undefined}
+	 */
+	var receiveStorageEvent = function (event) {
+		if (event.key !== tabSyncName + '.message' || !event.newValue) {
+			return;
+		}
+		try {
+			receiveFromTab(angular.fromJson(event.newValue).data);
+		}
+		catch (err) {
+			log('Ignoring a malformed message from another tab: ' + err.message);
+		}
+	};
+
+	/**
+	 * Apply a message from another tab without passing it on
+	 * @param {string} data a JSON message, see shareWithTabs()
+	 * @returns {undefined}
+	 */
+	var receiveFromTab = function (data) {
+		injects.$rootScope.$apply(function () {
+			var message = angular.fromJson(data);
+			log('Received from another tab: ' + message.type);
+			switch (message.type) {
+				case 'clear':
+				case 'changed':
+					removeCachedPermissions(message.url);
+					refreshCurrentPermissions(message.url, true);
+					break;
+				case 'permissions':
+					replaceRoutePermissions(message.routePath, message.permissions);
+					break;
+				case 'defaultPermissions':
+					replaceDefaultPermissions(message.permissions, message.merge);
+					break;
+				case 'logout':
+					forgetUser();
+					break;
+				default:
+					log('Ignoring an unknown message from another tab: ' + message.type);
+			}
+		});
+	};
+
+	/**
+	 * Store the URLs being retrieved again because another tab asked for it, so
+	 * that their new permissions are not passed back
+	 * @type object
+	 */
+	var syncedUrls = {};
+
+
+	/** TOKEN PERMISSIONS **/
+
+	/**
+	 * Read the permissions from a token (a JWT, e.g. an OAuth access token)
+	 * instead of a URL; the token becomes the default permissions source, so
+	 * it applies to every route without its own permissions (or underneath
+	 * them, see setPermissionsLayering()). The token's payload is decoded but
+	 * NOT verified; the backend must still verify it. Options:
+	 *	- storageKey: read the token from this localStorage key (or from
+	 *	  'storage', 'localStorage' or 'sessionStorage')
+	 *	- cookie: read the token from this cookie
+	 *	- token: a function returning the token
+	 *	- claim: the claim holding the permissions, 'permissions' by default; a
+	 *	  dotted path like 'realm_access.roles' or a function(payload). Space
+	 *	  separated strings (like the OAuth 'scope' claim) become arrays.
+	 * E.g.:
+	 * 
+	 * tmixSecurityProvider.setPermissionsToken({storageKey: 'access_token', claim: 'scope'});
+	 * 
+	 * Once the token's 'exp' has passed, its permissions are gone: routes using
+	 * them send the user to the login route (see setLoginRoute()), as for a
+	 * 401, and 'tmixSecurity:tokenExpired' is broadcast. Pass null to stop
+	 * using a token.
+	 * @param {object} options
+	 * @returns {undefined}
+	 */
+	var setPermissionsToken = function (options) {
+		if (options && !options.storageKey && !options.cookie && typeof options.token !== 'function') {
+			throw new Error("Set the token's 'storageKey', 'cookie' or 'token' function");
+		}
+		if (options && options.storage && ['localStorage', 'sessionStorage'].indexOf(options.storage) === -1) {
+			throw new Error('Unknown storage: ' + options.storage + "; use 'sessionStorage' or 'localStorage'");
+		}
+		tokenOptions = options;
+		decodedToken = undefined;
+		if (options) {
+			defaultPermissions = tokenSource;
+			mergeDefaultPermissions = false;
+		}
+		else if (defaultPermissions === tokenSource) {
+			defaultPermissions = undefined;
+		}
+	};
+	var tokenOptions;
+
+	/**
+	 * Stands for the token as a permissions source, see getPermissionsSources()
+	 * @type object
+	 */
+	var tokenSource = {};
+
+	/**
+	 * Read the raw token from the configured place
+	 * @returns {string} or undefined if there is none
+	 */
+	var readToken = function () {
+		var token;
+		if (typeof tokenOptions.token === 'function') {
+			token = tokenOptions.token();
+		}
+		else if (tokenOptions.cookie) {
+			var cookies = (injects.$window.document.cookie || '').split(/;\s*/);
+			for (var i = 0; i < cookies.length; i++) {
+				var separator = cookies[i].indexOf('=');
+				if (decodeURIComponent(cookies[i].substring(0, separator)) === tokenOptions.cookie) {
+					token = decodeURIComponent(cookies[i].substring(separator + 1));
+				}
+			}
+		}
+		else {
+			try {
+				var storage = injects.$window[tokenOptions.storage || 'localStorage'];
+				token = storage && storage.getItem(tokenOptions.storageKey);
+			}
+			catch (err) {
+				log('Could not read the token: ' + err.message);
+			}
+		}
+		return token ? String(token).replace(/^Bearer\s+/i, '') : undefined;
+	};
+
+	/**
+	 * Decode a JWT's payload without verifying it
+	 * @param {string} token
+	 * @returns {object} or undefined if the token is malformed
+	 */
+	var decodeToken = function (token) {
+		try {
+			var payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+			while (payload.length % 4) {
+				payload += '=';
+			}
+			// atob() returns binary; decode its bytes as UTF-8
+			var json = decodeURIComponent(injects.$window.atob(payload).replace(/[\s\S]/g, function (character) {
+				return '%' + ('0' + character.charCodeAt(0).toString(16)).slice(-2);
+			}));
+			return angular.fromJson(json);
+		}
+		catch (err) {
+			log('Could not decode the token: ' + err.message);
+			return undefined;
+		}
+	};
+
+	/**
+	 * Get the permissions from the token, decoding it only when it changes
+	 * @returns {object} or undefined if there is no valid, unexpired token
+	 */
+	var getTokenPermissions = function () {
+		var token = readToken();
+		if (!token) {
+			log('No token found.');
+			return undefined;
+		}
+		if (!decodedToken || decodedToken.token !== token) {
+			var payload = decodeToken(token);
+			decodedToken = {
+				token: token,
+				permissions: payload && getClaim(payload),
+				expires: (payload && typeof payload.exp === 'number') ? payload.exp * 1000 : null
+			};
+			watchTokenExpiry(decodedToken);
+		}
+		if (decodedToken.expires !== null && new Date().getTime() >= decodedToken.expires) {
+			log('The token has expired.');
+			return undefined;
+		}
+		return decodedToken.permissions;
+	};
+	var decodedToken;
+
+	/**
+	 * Forget the decoded token and stop waiting for it to expire, see logout()
+	 * @returns {undefined}
+	 */
+	var forgetToken = function () {
+		decodedToken = undefined;
+		if (tokenTimer) {
+			injects.$window.clearTimeout(tokenTimer);
+			tokenTimer = undefined;
+		}
+	};
+
+	/**
+	 * Map the configured claim of a token's payload to permissions
+	 * @param {object} payload
+	 * @returns {object}
+	 */
+	var getClaim = function (payload) {
+		var claim = tokenOptions.claim || 'permissions';
+		var value = payload;
+		if (typeof claim === 'function') {
+			value = claim(payload);
+		}
+		else {
+			var keys = claim.split('.');
+			for (var i = 0; i < keys.length && angular.isObject(value); i++) {
+				value = value[keys[i]];
+			}
+			if (i < keys.length) {
+				value = undefined;
+			}
+		}
+		return (typeof value === 'string') ? value.split(/\s+/).filter(Boolean) : value;
+	};
+
+	/**
+	 * When a token expires, broadcast 'tmixSecurity:tokenExpired' and, if the
+	 * current route uses the token, send the user to the login route; waits
+	 * with a plain timeout since a $timeout of up to days would keep Protractor
+	 * (and $timeout.verifyNoPendingTasks()) waiting
+	 * @param {object} decoded see getTokenPermissions()
+	 * @returns {undefined}
+	 */
+	var watchTokenExpiry = function (decoded) {
+		if (tokenTimer) {
+			injects.$window.clearTimeout(tokenTimer);
+			tokenTimer = undefined;
+		}
+		var delay = (decoded.expires === null) ? null : decoded.expires - new Date().getTime();
+		// longer delays overflow setTimeout(); navigating after expiry still sends the user to log in
+		if (delay === null || delay <= 0 || delay > 2147483647) {
+			return;
+		}
+		tokenTimer = injects.$window.setTimeout(function () {
+			tokenTimer = undefined;
+			injects.$rootScope.$apply(function () {
+				log('The token has expired.');
+				announce('tokenExpired', {});
+				announce('permissionsChanged', {token: true});
+				var routePath = getCurrentRoutePath();
+				if (loginRoute && routePath && routeExists(routePath) && getPermissionsSources(routePath).indexOf(tokenSource) !== -1) {
+					setReturnTo(getCurrentUrl());
+					redirect(loginRoute);
+				}
+			});
+		}, delay);
+	};
+	var tokenTimer;
+
+	/**
+	 * Return a true/false promise stating whether the current authenticated
+	 * user is permitted to access the current route; will redirect to the
+	 * access denied route if false. This method is meant to be called from
+	 * a route resolve, like:
+	 * 
+	 * .when('/some/:someField/an-action', {
+	 *		...
+	 *		resolve: tmixSecurityProvider.authorizeOrRedirect
+	 * }
+	 * 
+	 * @returns {$q.defer.promise}
+	 */
+	var authorizeOrRedirect = function () {
+		var deferred = injects.$q.defer();
+		var routePath = getCurrentRoutePath();
+		var path = injects.router.getCurrentPath();
+		authorizeRoute(routePath, path, injects.router.getCurrentParams(), getCurrentUrl()).then(function (redirectTo) {
+			if (typeof redirectTo === 'undefined') {
+				log('Authorized.');
+				deferred.resolve(true);
+			}
+			else {
+				log('Rejected.');
+				deferred.reject(false);
+				// case: stop a redirect loop without redirecting, see followRedirect()
+				if (redirectTo !== false) {
+					redirect(redirectTo);
+				}
+			}
+		}, function (err) {
+			log('Could not authorize: ' + (err && err.message));
+			deferred.reject(err);
+		});
+		return deferred.promise;
+	};
+
+	/**
+	 * Authorize navigating to the given path (e.g. '/page/3') on its route
+	 * (e.g. '/page/:id'), keeping track of redirects so that a denied route
+	 * redirecting to another denied route does not loop, see followRedirect()
+	 * @param {string} routePath
+	 * @param {string} path
+	 * @param {object} routeParams
+	 * @param {string} url the path with its search params, kept for redirectBack()
+	 * @returns {$q.promise} resolves to nothing if authorized, to the route to redirect to or to false to stop navigating
+	 */
+	var authorizeRoute = function (routePath, path, routeParams, url) {
+		var target = redirectChain.next;
+		redirectChain.next = undefined;
+		// case: a navigation not caused by a denial starts a new chain
+		if (target !== routePath && target !== path) {
+			redirectChain.routes = [];
+			redirectChain.terminal = false;
+		}
+		// case: stop at the redirect loop route
+		else if (redirectChain.terminal) {
+			log('Stopping a redirect loop at: ' + routePath);
+			redirectChain.routes = [];
+			redirectChain.terminal = false;
+			return injects.$q.when(undefined);
+		}
+		return evaluateRoute(routePath, path, routeParams).then(function (redirectTo) {
+			if (!redirectTo) {
+				redirectChain.routes = [];
+				return undefined;
+			}
+			announce('denied', {routePath: routePath, path: path, redirectTo: redirectTo});
+			return followRedirect(routePath, redirectTo, url || path);
+		});
+	};
+
+	/**
+	 * Record a redirect from a denied route; if the route to redirect to was
+	 * already denied in this navigation chain (or the chain is too long), the
+	 * redirect would loop: broadcast 'tmixSecurity:redirectLoop' and stop at
+	 * the redirect loop route, if set (see setRedirectLoopRoute()), or nowhere
+	 * @param {string} routePath the denied route
+	 * @param {string} redirectTo
+	 * @param {string} url the denied URL
+	 * @returns {string|boolean} the route to redirect to or false
+	 */
+	var followRedirect = function (routePath, redirectTo, url) {
+		var routes = redirectChain.routes;
+		if (!routes.length) {
+			setReturnTo(url); // only where the user was going, not the denied routes after it
+		}
+		routes.push(routePath);
+		if (routes.indexOf(redirectTo) === -1 && routes.length <= maxRedirects) {
+			redirectChain.next = redirectTo;
+			return redirectTo;
+		}
+		var loop = routes.concat([redirectTo]);
+		log('Detected a redirect loop: ' + loop.join(' -> '));
+		announce('redirectLoop', {routes: loop});
+		redirectChain.routes = [];
+		if (redirectLoopRoute) {
+			redirectChain.next = redirectLoopRoute;
+			redirectChain.terminal = true;
+			return redirectLoopRoute;
+		}
+		return false;
+	};
+	var redirectChain = {routes: [], next: undefined, terminal: false};
+	var maxRedirects = 10;
+
+	/**
+	 * Set the route to stop at when denied routes redirect in a loop (e.g. when
+	 * the access denied route is itself denied); it is entered without being
+	 * authorized. If not set, navigation stops and nothing is rendered. Either
+	 * way, 'tmixSecurity:redirectLoop' is broadcast with the looping routes.
+	 * @param {string} routePath
+	 * @returns {undefined}
+	 */
+	var setRedirectLoopRoute = function (routePath) {
+		redirectLoopRoute = routePath;
+	};
+	var redirectLoopRoute;
+
+	/**
+	 * Authorize the given path (e.g. '/page/3') on its route (e.g. '/page/:id');
+	 * permissions are loaded first and, if that fails, the failure policy
+	 * applies (see setPermissionsFailurePolicy())
+	 * @param {string} routePath
+	 * @param {string} path
+	 * @param {object} routeParams
+	 * @returns {$q.promise} resolves to nothing if authorized or to the route to redirect to
+	 */
+	var evaluateRoute = function (routePath, path, routeParams) {
+		var route = getRoute(routePath);
+		var query = route.policy || route.roles || route.rule || path;
+		var retrieving = getPermissionsSource(routePath, routeParams) === 'none';
+		var unauthenticated = false;
+		return loadPermissions(routePath, routeParams, function (response) {
+			unauthenticated = !!(response && response.status === 401);
+		}).then(function (loaded) {
+			if (unauthenticated && loginRoute) {
+				log('Permissions request returned 401, sending to the login route.');
+				recordDecision(createDecision(query, routePath, routeParams, 'unauthenticated', false));
+				return loginRoute;
+			}
+			if (!loaded && failurePolicy === 'error') {
+				log('No permissions, sending to the error route.');
+				recordDecision(createDecision(query, routePath, routeParams, 'failurePolicy', false));
+				return failureRoute;
+			}
+			return injects.$q.when(authorizeLoaded(loaded, function () {
+				// routes declaring a named 'policy' (see definePolicy()) are authorized by it
+				if (route.policy) {
+					return decidePolicy(routePath, routeParams);
+				}
+				// routes declaring 'roles' require any one of them instead
+				if (route.roles) {
+					return createDecision(query, routePath, routeParams, 'routeRoles', hasAnyRole(route.roles, routePath, routeParams));
+				}
+				// routes declaring a 'rule' (e.g. 'canEdit/:id && !suspended') authorize it instead of the path
+				return decide(query, routePath, undefined, routeParams);
+			}, query, routePath, routeParams)).then(function (decision) {
+				if (retrieving && loaded) {
+					decision.source = 'url';
+				}
+				if (recordDecision(decision).result) {
+					return;
+				}
+				// denied users who are not authenticated (see setLoginRoute()) log in instead
+				if (loginRoute && isAuthenticated && !isAuthenticated(getPermissionsSync(routePath, routeParams), getRoute(routePath))) {
+					log('Not authenticated, sending to the login route.');
+					return loginRoute;
+				}
+				return getAccessDeniedRouteFor(routePath, routeParams);
+			});
+		});
+	};
+
+	/**
+	 * Load the permissions for a route into the cache; the returned promise
+	 * always resolves (to false if retrieval fails) so that authorization can
+	 * apply the failure policy
+	 * @param {string} routePath
+	 * @param {object} routeParams
+	 * @param {function} onFailure optionally called with the failed response
+	 * @returns {$q.promise} resolves to true or false
+	 */
+	var loadPermissions = function (routePath, routeParams, onFailure) {
+		return getPermissions(routePath, routeParams).then(function () {
+			return true;
+		}, function (response) {
+			if (onFailure) {
+				onFailure(response);
+			}
+			return false;
+		});
+	};
+
+	/**
+	 * Authorize once loadPermissions() has finished, applying the failure
+	 * policy if the permissions could not be loaded
+	 * @param {boolean} loaded
+	 * @param {function} authorize returns a decision (or a promise of one) using the loaded permissions
+	 * @param {string|array} query
+	 * @param {string} routePath
+	 * @param {object} routeParams
+	 * @returns {object|$q.promise} a decision
+	 */
+	var authorizeLoaded = function (loaded, authorize, query, routePath, routeParams) {
+		// a negated leaf like '!suspended' would allow anyone without permissions
+		if (!loaded && failurePolicy === 'default' && typeof query === 'string' && policy.isExpression(query)) {
+			log('No permissions, denying the expression: ' + query);
+			return createDecision(query, routePath, routeParams, 'failurePolicy', false);
+		}
+		if (loaded || failurePolicy === 'default') {
+			if (!loaded) {
+				log('No permissions, authorizing by default.');
+			}
+			return authorize();
+		}
+		log('No permissions, applying the failure policy: ' + failurePolicy);
+		return createDecision(query, routePath, routeParams, 'failurePolicy', failurePolicy === 'allow');
+	};
+
+	/**
+	 * Set what happens when permissions cannot be retrieved (after any
+	 * retries, see setPermissionsRetries()):
+	 *	- 'default': authorize as usual with empty permissions, i.e. the outcome
+	 *	  depends on the authorization method and the default access; boolean
+	 *	  expressions (e.g. a route's 'rule') are denied
+	 *	- 'deny': deny and redirect to the access denied route
+	 *	- 'allow': allow
+	 *	- 'cached': use the last permissions retrieved from the URL (even if
+	 *	  the cache has been cleared); deny if there are none
+	 *	- 'error': redirect to the given error route
+	 * @param {string} policy
+	 * @param {string} errorRoute required for the 'error' policy
+	 * @returns {undefined}
+	 */
+	var setPermissionsFailurePolicy = function (policy, errorRoute) {
+		if (['default', 'deny', 'allow', 'cached', 'error'].indexOf(policy) === -1) {
+			throw new Error('Unknown failure policy: ' + policy + "; use 'default', 'deny', 'allow', 'cached' or 'error'");
+		}
+		if (policy === 'error' && !errorRoute) {
+			throw new Error("The 'error' failure policy requires an error route");
+		}
+		failurePolicy = policy;
+		failureRoute = errorRoute;
+	};
+	var failurePolicy = 'default';
+	var failureRoute;
+
+	/**
+	 * Set how many times a failed permissions request is retried before the
+	 * failure policy applies; the delay doubles after each retry
+	 * @param {integer} retries
+	 * @param {number} delay milliseconds before the first retry; 1000 by default
+	 * @returns {undefined}
+	 */
+	var setPermissionsRetries = function (retries, delay) {
+		permissionsRetries = retries;
+		permissionsRetryDelay = (typeof delay === 'number') ? delay : 1000;
+	};
+	var permissionsRetries = 0;
+	var permissionsRetryDelay = 1000;
+
+	/**
+	 * Turn the route guard on or off: when on, every route that declares
+	 * 'permissions' (or every route, when default permissions are set) is
+	 * authorized with authorizeOrRedirect() as if it had been added to the
+	 * route's resolve. Routes opt out with 'public: true'; routes that redirect
+	 * ('redirectTo') or are abstract are never guarded. E.g.:
+	 * 
+	 * tmixSecurityProvider.setRouteGuard(true);
+	 * $routeProvider
+	 *		.when('/secured', {
+	 *			...
+	 *			permissions: 'http://example.com/my-roles' // no resolve needed
+	 *		})
+	 *		.when('/forbidden', {
+	 *			...
+	 *			public: true // never guarded, even with default permissions
+	 *		})
+	 * 
+	 * @param {boolean} onOrOff
+	 * @returns {undefined}
+	 */
+	var setRouteGuard = function (onOrOff) {
+		routeGuard = !!onOrOff;
+	};
+	var routeGuard = false;
+
+	/**
+	 * Determine whether the route guard should authorize the given route object
+	 * @param {object} route
+	 * @param {string} routePath
+	 * @returns {boolean}
+	 */
+	var isGuarded = function (route, routePath) {
+		// routes that redirect (e.g. ngRoute's trailing slash routes) or are abstract are never entered
+		if (!routeGuard || !route || route.public === true || route.redirectTo || route.abstract) {
+			return false;
+		}
+		// routes that already resolve with authorizeOrRedirect need no guard
+		if (resolvesWithAuthorizeOrRedirect(route)) {
+			return false;
+		}
+		return !!(route.permissions || route.roles || route.rule || route.policy || defaultPermissions ||
+			(routePath && getDeclaringRoutePath(routePath, 'permissions')));
+	};
+
+	/**
+	 * Called by the router adapter whenever navigation starts; returns nothing
+	 * if the route is not guarded or a promise to the access denied route (or
+	 * to nothing, if authorized)
+	 * @param {object} route the route definition
+	 * @param {string} routePath a valid route like '/page/:id'
+	 * @param {string} path the path being navigated to, like '/page/3'
+	 * @param {object} routeParams
+	 * @param {string} url the path with its search params, like '/page/3?tab=2'; kept for redirectBack()
+	 * @returns {undefined|$q.promise}
+	 */
+	var guardRoute = function (route, routePath, path, routeParams, url) {
+		// case: a navigation other than the redirect of a denied route ends the redirect chain
+		if (redirectChain.next !== routePath && redirectChain.next !== path) {
+			redirectChain.next = undefined;
+			redirectChain.routes = [];
+			redirectChain.terminal = false;
+		}
+		if (!isGuarded(route, routePath)) {
+			return;
+		}
+		log('Guarding route: ' + routePath);
+		return authorizeRoute(routePath, path, routeParams, url);
+	};
+
+	/**
+	 * Turn re-validation on or off: when on, the current route is authorized
+	 * again (if it is guarded or resolved with authorizeOrRedirect) whenever
+	 * permissions change, see the 'tmixSecurity:permissionsChanged' event, and
+	 * the user is redirected if access is now denied. Off by default.
+	 * @param {boolean} onOrOff
+	 * @returns {undefined}
+	 */
+	var setRevalidation = function (onOrOff) {
+		revalidation = !!onOrOff;
+	};
+	var revalidation = false;
+
+	/**
+	 * Authorize the current route again, once per digest; see setRevalidation()
+	 * @returns {undefined}
+	 */
+	var revalidateCurrentRoute = function () {
+		if (!revalidation || revalidationPending) {
+			return;
+		}
+		revalidationPending = true;
+		injects.$rootScope.$evalAsync(function () {
+			revalidationPending = false;
+			// case: the route being navigated to is authorized anyway (and a redirect in progress must not be used up)
+			if (injects.router.isChanging && injects.router.isChanging()) {
+				log('Not re-validating while the route changes.');
+				return;
+			}
+			var routePath = getCurrentRoutePath();
+			if (!routePath || !routeExists(routePath) || !isSecured(routePath)) {
+				return;
+			}
+			log('Re-validating the current route: ' + routePath);
+			authorizeRoute(routePath, injects.router.getCurrentPath(), injects.router.getCurrentParams(), getCurrentUrl()).then(function (redirectTo) {
+				if (redirectTo) {
+					redirect(redirectTo);
+				}
+			}).catch(function (err) {
+				log('Could not re-validate the current route: ' + (err && err.message));
+			});
+		});
+	};
+	var revalidationPending = false;
+
+	/**
+	 * Redirect to the given route or, by default, the current route's access denied route
+	 * @param {string} routePath
+	 * @returns {undefined}
+	 */
+	var redirect = function (routePath) {
+		injects.router.go(routePath || getAccessDeniedRouteFor(getCurrentRoutePath()));
+	};
+
+	/**
+	 * Remember where a denied user was going, see redirectBack()
+	 * @param {string} url
+	 * @returns {undefined}
+	 */
+	var setReturnTo = function (url) {
+		log('Keeping the return URL: ' + url);
+		returnTo = url;
+	};
+	var returnTo;
+
+	/**
+	 * Return the URL (path and search params, like '/page/3?tab=2') that the
+	 * user was last denied, if any
+	 * @returns {string|undefined}
+	 */
+	var getReturnTo = function () {
+		return returnTo;
+	};
+
+	/**
+	 * Send the user back to where they were last denied (e.g. after logging
+	 * in) or, if they were not denied, to the given URL; the return URL is
+	 * forgotten. E.g.:
+	 * 
+	 * $scope.login = function () {
+	 *		authenticate(...).then(function () {
+	 *			tmixSecurity.clearPermissionsCache();
+	 *			tmixSecurity.redirectBack('/home');
+	 *		});
+	 * };
+	 * 
+	 * @param {string} fallbackUrl defaults to '/'
+	 * @returns {undefined}
+	 */
+	var redirectBack = function (fallbackUrl) {
+		var url = returnTo || fallbackUrl || '/';
+		returnTo = undefined;
+		log('Redirecting back to: ' + url);
+		injects.$location.url(url);
+		injects.$location.replace();
+	};
+
+	/**
+	 * Determine whether the current query string exists in the permissions
+	 * object for this route. E.g.:
+	 * 
+	 * angular.module('...').controller('MainCtrl', function ($scope, $route, tmixSecurity) {
+	 *		// or if AuthenticationService has already been used in this route's resolve, just do:
+	 *		tmixSecurityProvider.isAuthorized('canView/23');
+	 * }
+	 * 
+	 * Custom authorization is prioritized:
+	 *	1. check for custom route authorization; this is a function assigned to a route like:
+	 *		.when('/some/:someField/an-action', {
+	 *			...
+	 *			resolve: ...,
+	 *			customAuthorization: function(query, permissions, route, routeParams){ ... },
+	 *		})
+	 *	2. check for global custom authorization; this is a function defined like:
+	 *		tmixSecurityProvider.setCustomAuthorization(function(query, permissions, route, routeParams){
+	 *			...
+	 *		});
+	 *	3. role-based authorization, if roles are set up (see setRoles()) and the user has roles; the
+	 *	   query is checked against the permissions granted by the user's roles, then as below:
+	 *		// assume roles like {editor: {permissions: ['canEdit/**']}} and permissions like ['editor']
+	 *		tmixSecurityProvider.isAuthorized('canEdit/3') === true;
+	 *	4. default authorization; the current route is checked against an array of routes in permissions:
+	 *		// assume we are in '/some-route' the permissions object is ['/', '/some-route', ...]
+	 *		tmixSecurityProvider.isAuthorized() === true;
+	 *	5. xpath-like search through the permissions object
+	 *		// assume permissions like {GET: {route: [1, 2, 3]}}
+	 *		tmixSecurityProvider.isAuthorized('GET/route/1') === true;
+	 *		tmixSecurityProvider.isAuthorized('GET#route#1', null, '#') === true;
+	 *		tmixSecurityProvider.isAuthorized('GET/*') === true; // wildcards, see findIn()
+	 *		tmixSecurityProvider.isAuthorized('GET/route/:id') === true; // on '/route/:id' with id = 1
+	 *	6. pass in a function:
+	 *		tmixSecurityProvider.isAuthorized(function(query, permissions, route, routeParams){
+	 *			...
+	 *		});
+	 *	
+	 * String queries (steps 3-5) can also be boolean expressions using '&&', '||',
+	 * '!' and parentheses; each query in the expression is authorized separately:
+	 *		tmixSecurityProvider.isAuthorized('(GET/reports || admin) && !suspended');
+	 *		
+	 * @param {string} queryString
+	 * @param {string} a valid route, like '/page/:id' (not '/page/3'); if not set, will use the current route
+	 * @param {string} optionally specify a delimiter for xpath-like queries
+	 * @param {object} optionally specify the route parameters passed to custom authorization; if not set, will use the current parameters
+	 * @returns {boolean}
+	 */
+	var isAuthorized = function (query, routePath, delimiter, routeParams) {
+		return recordDecision(decide(query, routePath, delimiter, routeParams)).result;
+	};
+
+	/**
+	 * Describe how isAuthorized() would decide a query without recording the
+	 * decision or logging; useful when debugging a guard. Like isAuthorized()
+	 * it requests nothing, but it does restore persisted permissions into the
+	 * cache and calls any custom authorization functions:
+	 *		tmixSecurity.explain('GET/reports', '/reports');
+	 *		// {query: 'GET/reports', routePath: '/reports', strategy: 'findIn', source: 'cache', result: false}
+	 * @param {string|function} query
+	 * @param {string} routePath
+	 * @param {string} delimiter
+	 * @param {object} routeParams
+	 * @returns {object} a decision record, see decide()
+	 */
+	var explain = function (query, routePath, delimiter, routeParams) {
+		muted = true;
+		try {
+			return decide(query, routePath, delimiter, routeParams);
+		}
+		finally {
+			muted = false;
+		}
+	};
+
+	/**
+	 * Authorize a query (see isAuthorized()) and describe the decision
+	 * @param {string|function} query
+	 * @param {string} routePath
+	 * @param {string} delimiter
+	 * @param {object} routeParams
+	 * @returns {object} a decision record like {query, routePath, strategy, source, result}; the strategy
+	 *	is one of 'customRouteAuthorization', 'customAuthorization', 'expression', 'roles', 'permissionsArray',
+	 *	'findIn', 'function' or 'defaultAccess', or 'failurePolicy' for an expression before its permissions are loaded
+	 */
+	var decide = function (query, routePath, delimiter, routeParams) {
+		var resolved = resolveRoutePath(routePath || getCurrentRoutePath(), routeParams);
+		routePath = resolved.routePath;
+		routeParams = resolved.routeParams || injects.router.getCurrentParams();
+		var permissions = getPermissionsSync(routePath, routeParams);
+		// not loaded yet: deny expressions, as authorizeLoaded() does, or '!suspended' would allow anyone
+		if (typeof permissions === 'undefined' && typeof query === 'string' && policy.isExpression(query)) {
+			return createDecision(query, routePath, routeParams, 'failurePolicy', false);
+		}
+		var decided = policy.decide(query, {
+			permissions: permissions || {},
+			route: getRoute(routePath),
+			routeParams: routeParams,
+			delimiter: delimiter,
+			customRouteAuthorization: hasCustomRouteAuthorization(routePath) ? getCustomRouteAuthorization(routePath) : undefined
+		});
+		return createDecision(query, routePath, routeParams, decided.strategy, decided.result);
+	};
+
+
+	/** DECISIONS **/
+
+	/**
+	 * Create a decision record
+	 * @param {string|function|array} query
+	 * @param {string} routePath
+	 * @param {object} routeParams
+	 * @param {string} strategy
+	 * @param {boolean} result
+	 * @returns {object}
+	 */
+	var createDecision = function (query, routePath, routeParams, strategy, result) {
+		var decision = {
+			query: query,
+			routePath: routePath,
+			strategy: strategy,
+			source: getPermissionsSource(routePath, routeParams),
+			result: !!result
+		};
+		// with inheritance on, note the ancestor route that supplied the permissions
+		var permissionsPath = routeInheritance && getDeclaringRoutePath(routePath, 'permissions');
+		if (permissionsPath && permissionsPath !== routePath) {
+			decision.inheritedFrom = permissionsPath;
+		}
+		return decision;
+	};
+
+	/**
+	 * Describe where the permissions for a route come from: 'object' (set on
+	 * the route), 'cache' (retrieved from the route's URL earlier), 'default'
+	 * (the default permissions), 'token' (the default permissions, from a token,
+	 * see setPermissionsToken()), 'impersonation' (see impersonate()) or 'none'
+	 * (the route's URL has not been retrieved yet); authorizeOrRedirect()
+	 * reports 'url' when it had to retrieve them
+	 * @param {string} routePath
+	 * @param {object} routeParams
+	 * @returns {string}
+	 */
+	var getPermissionsSource = function (routePath, routeParams) {
+		if (impersonation && typeof impersonation.permissions !== 'undefined') {
+			return (typeof impersonation.permissions === 'string' && typeof permissionsCache.get(fillPermissionsUrl(impersonation.permissions, routeParams)) === 'undefined') ?
+				'none' : 'impersonation';
+		}
+		if (!getDeclaringRoutePath(routePath, 'permissions')) {
+			if (defaultPermissions === tokenSource) {
+				return 'token';
+			}
+			return defaultPermissions ? 'default' : 'none';
+		}
+		var urls = getPermissionsUrls(routePath, routeParams);
+		if (!urls.length) {
+			return 'object';
+		}
+		for (var i = 0; i < urls.length; i++) {
+			if (typeof permissionsCache.get(urls[i]) === 'undefined') {
+				return 'none';
+			}
+		}
+		return 'cache';
+	};
+
+	/**
+	 * Log a decision and send it to the decision sink, if any
+	 * @param {object} decision
+	 * @returns {object} the decision, with the time it was made
+	 */
+	var recordDecision = function (decision) {
+		decision.time = new Date().getTime();
+		log('Decision on ' + (typeof decision.query === 'function' ? 'a function' : angular.toJson(decision.query))
+			+ ' for ' + decision.routePath + ': ' + (decision.result ? 'authorized' : 'denied')
+			+ ' by ' + decision.strategy + ' (permissions: ' + decision.source
+			+ (decision.inheritedFrom ? ', inherited from ' + decision.inheritedFrom : '') + ').');
+		if (decisionSink) {
+			decisionSink(decision);
+		}
+		return decision;
+	};
+
+	/**
+	 * Send every decision made by isAuthorized() (and the async methods built on
+	 * it) and authorizeOrRedirect() somewhere:
+	 *	- '$log': to $log.debug()
+	 *	- 'buffer': keep the last bufferSize decisions (100 by default), see getDecisions()
+	 *	- a function: called with each decision
+	 *	- null: stop recording decisions (the default)
+	 * @param {string|function} sink
+	 * @param {number} bufferSize
+	 * @returns {undefined}
+	 */
+	var setDecisionSink = function (sink, bufferSize) {
+		decisions = [];
+		if (sink === '$log') {
+			decisionSink = function (decision) {
+				injects.$log.debug('[tmixSecurity] decision', decision);
+			};
+		}
+		else if (sink === 'buffer') {
+			bufferSize = bufferSize || 100;
+			decisionSink = function (decision) {
+				decisions.push(decision);
+				if (decisions.length > bufferSize) {
+					decisions.shift();
+				}
+			};
+		}
+		else if (typeof sink === 'function' || !sink) {
+			decisionSink = sink || null;
+		}
+		else {
+			throw new Error('Unknown decision sink: ' + sink);
+		}
+	};
+	var decisionSink = null;
+	var decisions = [];
+
+	/**
+	 * Get the decisions kept by the 'buffer' sink, oldest first
+	 * @returns {array}
+	 */
+	var getDecisions = function () {
+		return decisions.slice();
+	};
+
+
+	/**
+	 * Like isAuthorized() but waits for the route's permissions to load
+	 * (e.g. from a URL) before authorizing. E.g.:
+	 * 
+	 * tmixSecurity.isAuthorizedAsync('canEdit/:id').then(function (authorized) {
+	 *		$scope.showEditButton = authorized;
+	 * });
+	 * 
+	 * @param {string|function} query
+	 * @param {string} a valid route, like '/page/:id' (not '/page/3'); if not set, will use the current route
+	 * @param {string} optionally specify a delimiter for xpath-like queries
+	 * @returns {$q.promise} resolves to true or false
+	 */
+	var isAuthorizedAsync = function (query, routePath, delimiter) {
+		return authorizeEach([query], routePath, delimiter).then(function (results) {
+			return results[0];
+		});
+	};
+
+	/**
+	 * Like isAuthorizedAsync() but resolves to true only if every query in the
+	 * array is authorized (true for an empty array)
+	 * @param {array} queries
+	 * @param {string} a valid route, like '/page/:id' (not '/page/3'); if not set, will use the current route
+	 * @param {string} optionally specify a delimiter for xpath-like queries
+	 * @returns {$q.promise} resolves to true or false
+	 */
+	var isAuthorizedAll = function (queries, routePath, delimiter) {
+		return authorizeEach(queries, routePath, delimiter).then(function (results) {
+			return results.indexOf(false) === -1;
+		});
+	};
+
+	/**
+	 * Like isAuthorizedAsync() but resolves to true if any query in the array
+	 * is authorized (false for an empty array)
+	 * @param {array} queries
+	 * @param {string} a valid route, like '/page/:id' (not '/page/3'); if not set, will use the current route
+	 * @param {string} optionally specify a delimiter for xpath-like queries
+	 * @returns {$q.promise} resolves to true or false
+	 */
+	var isAuthorizedAny = function (queries, routePath, delimiter) {
+		return authorizeEach(queries, routePath, delimiter).then(function (results) {
+			return results.indexOf(true) !== -1;
+		});
+	};
+
+	/**
+	 * Load permissions once and then authorize each query; helper method for
+	 * the async isAuthorized...() methods
+	 * @param {array} queries
+	 * @param {string} routePath
+	 * @param {string} delimiter
+	 * @returns {$q.promise} resolves to an array of true/false results
+	 */
+	var authorizeEach = function (queries, routePath, delimiter) {
+		// the current route may change while loading
+		var resolved = resolveRoutePath(routePath || getCurrentRoutePath());
+		routePath = resolved.routePath;
+		var routeParams = resolved.routeParams;
+		var authorizeQuery = function (query) {
+			return function () {
+				return decide(query, routePath, delimiter, routeParams);
+			};
+		};
+		return loadPermissions(routePath, routeParams).then(function (loaded) {
+			var results = [];
+			for (var i = 0; i < queries.length; i++) {
+				var decision = authorizeLoaded(loaded, authorizeQuery(queries[i]), queries[i], routePath, routeParams);
+				results.push(recordDecision(decision).result);
+			}
+			return results;
+		});
+	};
+
+
+	/** POLICY **/
+
+	/**
+	 * Find a query like 'path/2/22' in a permissions object, with '*' and '**'
+	 * wildcards; see findIn() in tmix-security-core.js
+	 * @type function
+	 */
+	var findIn = policy.findIn;
+
+	/**
+	 * Set how a query token is compared to a value in a permissions array:
+	 * 'index' (the default), 'string', 'strict' or a function(value, token); see
+	 * setTokenCoercion() in tmix-security-core.js
+	 * @type function
+	 */
+	var setTokenCoercion = policy.setTokenCoercion;
+
+	/**
+	 * Set a custom authorization method, called like
+	 * function(query, permissions, route, routeParams); see isAuthorized()
+	 * @type function
+	 */
+	var setCustomAuthorization = policy.setCustomAuthorization;
+
+
+	/** ROLES **/
+
+	/**
+	 * Map each role to the permission queries it grants and the roles it
+	 * inherits; see setRoles() in tmix-security-core.js
+	 * @type function
+	 */
+	var setRoles = policy.setRoles;
+
+	/**
+	 * Set a function returning the user's roles from the permissions; see
+	 * setRolesSource() in tmix-security-core.js
+	 * @type function
+	 */
+	var setRolesSource = policy.setRolesSource;
+
+	/**
+	 * Determine whether the user has a role (directly or by inheritance) in
+	 * the permissions of a route (or the current route, if unspecified)
+	 * @param {string} role
+	 * @param {string} a valid route, like '/page/:id' (not '/page/3')
+	 * @param {object} optionally specify the route parameters; if not set, will use the current parameters
+	 * @returns {boolean}
+	 */
+	var hasRole = function (role, routePath, routeParams) {
+		return hasAnyRole([role], routePath, routeParams);
+	};
+
+	/**
+	 * Determine whether the user has any of the roles; see hasRole()
+	 * @param {array} roles
+	 * @param {string} a valid route, like '/page/:id' (not '/page/3')
+	 * @param {object} routeParams
+	 * @returns {boolean}
+	 */
+	var hasAnyRole = function (roles, routePath, routeParams) {
+		return policy.hasAnyRole(roles, getPermissionsSync(routePath, routeParams));
+	};
+
+	/**
+	 * Determine whether the user has all of the roles; see hasRole()
+	 * @param {array} roles
+	 * @param {string} a valid route, like '/page/:id' (not '/page/3')
+	 * @param {object} routeParams
+	 * @returns {boolean}
+	 */
+	var hasAllRoles = function (roles, routePath, routeParams) {
+		return policy.hasAllRoles(roles, getPermissionsSync(routePath, routeParams));
+	};
+
+
+
+	/** NAMED POLICIES **/
+
+	/**
+	 * Define a named policy, called like function(user, resource, permissions)
+	 * (see setUser()); see definePolicy() in tmix-security-core.js. Check it
+	 * with can() or declare it on a route, with 'policyResource'
+	 * returning the resource (or a promise of it) from the route parameters;
+	 * by default, the resource is the route parameters:
+	 * 
+	 *	.when('/documents/:documentId/edit', {
+	 *		...
+	 *		policy: 'document.edit',
+	 *		policyResource: function (routeParams, permissions) {
+	 *			return Documents.get(routeParams.documentId);
+	 *		}
+	 *	})
+	 * 
+	 * @type function
+	 */
+	var definePolicy = policy.definePolicy;
+
+	/**
+	 * Set the user passed to named policies, or a function returning the user
+	 * from the permissions, e.g. function(permissions){ return permissions.user; };
+	 * by default, the user is undefined; logout() forgets a user that is not a function
+	 * @param {object|function} user
+	 * @returns {undefined}
+	 */
+	var setUser = function (user) {
+		currentUser = user;
+	};
+	var getUser = function (permissions) {
+		return (typeof currentUser === 'function') ? currentUser(permissions) : currentUser;
+	};
+	var currentUser;
+
+	/**
+	 * Determine whether the user may act on a resource according to a named
+	 * policy (see definePolicy()), using the permissions of a route (or the
+	 * current route, if unspecified); throws if no policy has that name. E.g.:
+	 * 
+	 * $scope.canEdit = tmixSecurity.can('document.edit', document);
+	 * 
+	 * @param {string} name
+	 * @param {object} resource
+	 * @param {string} a valid route, like '/page/:id' (or a path, like '/page/3')
+	 * @param {object} optionally specify the route parameters; if not set, will use the current parameters
+	 * @returns {boolean|$q.promise} a boolean or, if the policy returned a promise, a promise of one
+	 */
+	var can = function (name, resource, routePath, routeParams) {
+		var permissions = getPermissionsSync(routePath, routeParams);
+		var result = policy.can(name, getUser(permissions), resource, permissions);
+		return (typeof result === 'boolean') ? result : injects.$q.when(result);
+	};
+
+	/**
+	 * Authorize a route with its named policy, see definePolicy(); unknown
+	 * policies reject the navigation with an error
+	 * @param {string} routePath
+	 * @param {object} routeParams
+	 * @returns {$q.promise} resolves to a decision
+	 */
+	var decidePolicy = function (routePath, routeParams) {
+		var route = getRoute(routePath);
+		if (!policy.hasPolicy(route.policy)) {
+			return injects.$q.reject(new Error('Unknown policy: ' + route.policy + ' on: ' + routePath + '; define it with definePolicy()'));
+		}
+		var permissions = getPermissionsSync(routePath, routeParams);
+		var resource = (typeof route.policyResource === 'function') ? route.policyResource(routeParams, permissions) : routeParams;
+		return injects.$q.when(resource).then(function (resource) {
+			return policy.can(route.policy, getUser(permissions), resource, permissions);
+		}).then(function (result) {
+			return createDecision(route.policy, routePath, routeParams, 'policy', result);
+		});
+	};
+
+
+	/**
+	 * 
+	 * @param {object} route
+	 * @returns {boolean}
+	 */
+	var hasCustomRouteAuthorization = function (routePath) {
+		getRoute(routePath); // throws if the route does not exist
+		return (routePath && typeof getRouteProperty(routePath, 'customAuthorization') === 'function');
+	};
+	var getCustomRouteAuthorization = function (routePath) {
+		routePath = routePath || getCurrentRoutePath();
+		if (!hasCustomRouteAuthorization(routePath)) {
+			throw new Error("The 'customAuthorization' property is not set to a function on: " + routePath);
 		}
+		return getRouteProperty(routePath, 'customAuthorization');
 	};
 
+
 	/**
-	 * Attempt to retrieve permissions from the route permissions object. Will
-	 * pull from the default permissions if the 'permissions' field is falsy.
-	 * E.g.:
+	 * Set whether queries no strategy decides are allowed (true) or denied
+	 * (false, the default); see setDefaultAccess() in tmix-security-core.js
+	 * @type function
+	 */
+	var setDefaultAccess = policy.setDefaultAccess;
+
+
+	/**
+	 * Return the access denied route for redirecting unauthorized users.
+	 * To customize, set the 'deniedRoute' in the route configuration, either
+	 * as a route or as a function returning one; by default it redirects to
+	 * '/forbidden' (or the 'forbidden' state with ui-router), see
+	 * setDefaultDeniedRoute(). E.g.:
 	 * 
-	 *	.when('/', {
+	 * .when('/some/:someField/an-action', {
 	 *		...
-	 *		resolve: ...,
-	 *		permissions: 'http://example.com/my-roles' // URL case
-	 *	})
-	 *	
-	 *	Or:
-	 *	
-	 *	.when('/', {
+	 *		deniedRoute: '/custom-access-denied-route' // without this, default to '/forbidden'
+	 * }
+	 * .when('/project/:projectId', {
 	 *		...
-	 *		resolve: ...,
-	 *		permissions: {viewable: [1, 2, 3], editable: [2, 3]} // object case
-	 *	})
-	 *	
-	 * @param {string} A valid route like '/page/:id' (not '/page/3'); if not set, will use the current route
-	 * @returns {object|string}
+	 *		deniedRoute: function (route, routeParams, permissions) {
+	 *			return permissions.archived ? '/archived' : '/forbidden';
+	 *		}
+	 * }
+	 * 
+	 * @param {string} routePath
+	 * @param {object} routeParams
+	 * @returns {String}
 	 */
-	var getPermissionsFromRoute = function (routePath) {
+	var getAccessDeniedRouteFor = function (routePath, routeParams) {
 		routePath = routePath || getCurrentRoutePath();
 		var route = getRoute(routePath);
-		var routePermissions = route.permissions || defaultPermissions; // use default permissions if necessary
-		if (!route.permissions) {
-			log('Using default permissions.');
+		var deniedRoute = getRouteProperty(routePath, 'deniedRoute');
+		if (typeof deniedRoute === 'function') {
+			routeParams = routeParams || injects.router.getCurrentParams();
+			deniedRoute = deniedRoute(route, routeParams, getPermissionsSync(routePath, routeParams) || {});
 		}
-		return routePermissions;
+		if (deniedRoute) {
+			log('Found an access denied route to: ' + deniedRoute);
+			return deniedRoute;
+		}
+		return defaultDeniedRoute || injects.router.deniedRoute; // default redirect route
 	};
 
 	/**
-	 * Retrieve the current user's permissions from a URL; helper method for
-	 * getPermissions()
-	 * @param {string} url
-	 * @returns {$q.defer.promise}
+	 * Set the access denied route used by routes without a 'deniedRoute'; by
+	 * default '/forbidden' (or the 'forbidden' state with ui-router)
+	 * @param {string} routePath
+	 * @returns {undefined}
 	 */
-	var retrievePermissions = function (url) {
-		var deferred = injects.$q.defer();
-		injects.$http.get(url, { withCredentials: true })
-			.then(function(response) {
-				var permissions = response.data;
-				log('Permissions returned from: ' + url);
-				permissionsCache.put(url, permissions);
-				deferred.resolve(permissions);
-			})
-			.catch(function(response) {
-				log('Failed to retrieve permissions from: ' + url);
-				deferred.reject(response);
-			});
-		return deferred.promise;
+	var setDefaultDeniedRoute = function (routePath) {
+		defaultDeniedRoute = routePath;
 	};
+	var defaultDeniedRoute;
 
 	/**
-	 * Set the permissions for a route (or the current route, if unspecified)
-	 * @param {object} permissions
-	 * @param {string} a valid route, like '/page/:id' (not '/page/3')
-	 * @returns {undefined}
+	 * 
+	 * @param {string} deniedRoute
+	 * @param {string} routePath
+	 * @returns {string}
 	 */
-	var setPermissions = function (permissions, routePath) {
+	var setAccessDeniedRouteFor = function (deniedRoute, routePath) {
 		var route = getRoute(routePath || getCurrentRoutePath());
-		log('Manually set permissions on: ' + route);
-		route.permissions = permissions;
+		route.deniedRoute = deniedRoute;
 	};
 
+
 	/**
-	 * Set the default permissions
-	 * @param {object} permissions
+	 * Set the route to send unauthenticated users to instead of the access
+	 * denied route; users are unauthenticated when the backend responds with
+	 * a 401 (to the permissions request or, see setHttpInterceptor(), to any
+	 * request) or, optionally, when a denied user's permissions fail a check. E.g.:
+	 * 
+	 * tmixSecurityProvider.setLoginRoute('/login', function (permissions, route) {
+	 *		return !!permissions.userId;
+	 * });
+	 * 
+	 * If not set, unauthenticated users are sent to the access denied route.
+	 * @param {string} routePath
+	 * @param {function} authenticated optionally, returns false when the user is not authenticated
 	 * @returns {undefined}
 	 */
-	var setDefaultPermissions = function (permissions) {
-		log('Manually set default permissions; these will be overriden by any specified route permissions.');
-		defaultPermissions = permissions;
+	var setLoginRoute = function (routePath, authenticated) {
+		loginRoute = routePath;
+		isAuthenticated = authenticated;
+	};
+	var isAuthenticated;
+	/**
+	 * Get the login route, falling back to the access denied route of the current route
+	 * @returns {string}
+	 */
+	var getLoginRoute = function () {
+		return loginRoute || getAccessDeniedRouteFor();
 	};
+	var loginRoute;
+
+
+	/** HTTP INTERCEPTOR **/
 
 	/**
-	 * Clear the retrieved permissions from the cache; this only affects
-	 * permissions retrieved from an URL (i.e. with retrievePermissions());
-	 * this means the next getPermissions() call will re-retrieve from the 
-	 * server.
+	 * Turn the $http interceptor on or off: when on, a 401 or 403 response
+	 * from the backend means the cached permissions are stale, so the current
+	 * route's permissions URL is evicted from the cache and re-retrieved; then
+	 * the user is sent to the login route (401) or to the current route's access
+	 * denied route (403). Off by default.
+	 * @param {boolean} onOrOff
 	 * @returns {undefined}
 	 */
-	var clearPermissionsCache = function () {
-		permissionsCache.removeAll();
+	var setHttpInterceptor = function (onOrOff) {
+		httpInterceptor = !!onOrOff;
 	};
+	var httpInterceptor = false;
 
 	/**
-	 * Return a true/false promise stating whether the current authenticated
-	 * user is permitted to access the current route; will redirect to the
-	 * access denied route if false. This method is meant to be called from
-	 * a route resolve, like:
+	 * Set a function deciding which 401/403 responses the interceptor ignores,
+	 * e.g. endpoints that are expected to fail:
 	 * 
-	 * .when('/some/:someField/an-action', {
-	 *		...
-	 *		resolve: tmixSecurityProvider.authorizeOrRedirect
-	 * }
+	 * tmixSecurityProvider.setHttpInterceptorIgnore(function(response){
+	 *		return response.config.url.indexOf('/api/public/') === 0;
+	 * });
 	 * 
-	 * @returns {$q.defer.promise}
+	 * @param {function} callbackFunction returns true to ignore the response
+	 * @returns {undefined}
 	 */
-	var authorizeOrRedirect = function () {
-		var deferred = injects.$q.defer();
-		var currentPath = injects.$location.path();
-		var permissionsPromise = getPermissions(); // pre-load permissions to populate cache
-
-		// once loaded, test the permissions with isAuthorized()
-		permissionsPromise.then(function () {
-			// case: we now have permissions, try to authorize
-			_authorizeOrRedirect();
-		}, function () {
-			// case: the promise failed... use defaults to authorize
-			log('No permissions, authorizing by default.');
-			_authorizeOrRedirect();
-		});
+	var setHttpInterceptorIgnore = function (callbackFunction) {
+		httpInterceptorIgnore = callbackFunction;
+	};
+	var httpInterceptorIgnore;
 
-		// convenience method for testing authorization once permissions are loaded
-		function _authorizeOrRedirect() {
-			if (isAuthorized(currentPath)) {
-				log('Authorized.');
-				deferred.resolve(true);
-			}
-			else {
-				log('Rejected.');
-				deferred.reject(false);
-				redirect();
+	/**
+	 * Handle a failed $http response; see setHttpInterceptor()
+	 * @param {object} response
+	 * @returns {$q.promise} always rejected with the response
+	 */
+	var interceptResponseError = function (response) {
+		var status = response.status;
+		var handled = httpInterceptor && (status === 401 || status === 403) &&
+			!(response.config && response.config.tmixSecurity) && // permissions requests would loop
+			!(typeof httpInterceptorIgnore === 'function' && httpInterceptorIgnore(response)) &&
+			routeExists(getCurrentRoutePath());
+		if (handled) {
+			log('Intercepted a ' + status + ' response from: ' + (response.config && response.config.url));
+			// re-retrieve stale permissions
+			var urls = getPermissionsUrls();
+			for (var i = 0; i < urls.length; i++) {
+				permissionsCache.remove(urls[i]);
+				retrievePermissions(urls[i], getCurrentRoutePath()).catch(angular.noop); // failure is logged by retrievePermissions()
 			}
+			setReturnTo(getCurrentUrl());
+			injects.router.go(status === 401 ? getLoginRoute() : getAccessDeniedRouteFor());
 		}
-
-		return deferred.promise;
+		return injects.$q.reject(response);
 	};
 
+	// register the interceptor; it does nothing until setHttpInterceptor(true)
+	$httpProvider.interceptors.push(['$injector', '$q', function ($injector, $q) {
+			return {
+				responseError: function (response) {
+					// case: off, or no router to instantiate tmixSecurity with (see isRouterAvailable())
+					if (!httpInterceptor || !isRouterAvailable($injector)) {
+						return $q.reject(response);
+					}
+					$injector.get('tmixSecurity'); // ensure injects are loaded
+					return interceptResponseError(response);
+				}
+			};
+		}]);
+
+
+	/** AUDIT **/
+
 	/**
-	 * Redirect to the current route's access denied route
-	 * @returns {undefined}
+	 * Check the security configuration of every route and report mistakes
+	 * that would otherwise only show up at runtime; e.g. in a test:
+	 * 
+	 * var report = tmixSecurity.audit();
+	 * expect(report.ok).toBe(true);
+	 * 
+	 * The report lists:
+	 *	- unguarded: routes that are neither guarded (see setRouteGuard()) nor
+	 *	  resolved with authorizeOrRedirect, except 'public' and redirecting routes
+	 *	- deniedRoutes: guarded routes whose access denied route does not exist
+	 *	  ('missing') or is itself guarded ('guarded'), which may loop
+	 *	- customAuthorization: routes whose 'customAuthorization' is not a function
+	 *	- unreachablePermissions: permission URLs with ':param' placeholders
+	 *	  that the route never provides, so the URL can never be retrieved
+	 *	- unknownPolicies: routes declaring a 'policy' that is not defined,
+	 *	  see definePolicy()
+	 * Each entry has the 'routePath' and details of the problem.
+	 * @returns {object} like {ok: false, unguarded: [...], deniedRoutes: [...], customAuthorization: [...], unreachablePermissions: [...], unknownPolicies: [...]}
 	 */
-	var redirect = function () {
-		var newRoute = getAccessDeniedRouteFor(getCurrentRoutePath());
-		injects.$location.path(newRoute);
-		injects.$location.replace(); // replaces current history so browser back works, see https://docs.angularjs.org/api/ng/service/$location
+	var audit = function () {
+		if (typeof injects.router.getRoutes !== 'function') {
+			throw new Error('The router adapter cannot list its routes; add getRoutes() to audit it.');
+		}
+		var report = {unguarded: [], deniedRoutes: [], customAuthorization: [], unreachablePermissions: [], unknownPolicies: []};
+		var routePaths = injects.router.getRoutes();
+		for (var i = 0; i < routePaths.length; i++) {
+			var routePath = routePaths[i];
+			var route = getRoute(routePath);
+			var customAuthorization = route.customAuthorization;
+			if (customAuthorization && typeof customAuthorization !== 'function') {
+				report.customAuthorization.push({routePath: routePath, type: typeof customAuthorization});
+			}
+			if (route.policy && !policy.hasPolicy(route.policy)) {
+				report.unknownPolicies.push({routePath: routePath, policy: route.policy});
+			}
+			if (route.public === true || route.redirectTo || route.abstract) {
+				continue;
+			}
+			if (!isSecured(routePath)) {
+				report.unguarded.push({routePath: routePath});
+				continue;
+			}
+			auditDeniedRoute(routePath, report);
+			auditPermissionsUrls(routePath, report);
+		}
+		report.ok = !(report.unguarded.length || report.deniedRoutes.length ||
+			report.customAuthorization.length || report.unreachablePermissions.length || report.unknownPolicies.length);
+		return report;
 	};
 
 	/**
-	 * Determine whether the current query string exists in the permissions
-	 * object for this route. E.g.:
-	 * 
-	 * angular.module('...').controller('MainCtrl', function ($scope, $route, tmixSecurity) {
-	 *		// or if AuthenticationService has already been used in this route's resolve, just do:
-	 *		tmixSecurityProvider.isAuthorized('canView/23');
-	 * }
-	 * 
-	 * Custom authorization is prioritized:
-	 *	1. check for custom route authorization; this is a function assigned to a route like:
-	 *		.when('/some/:someField/an-action', {
-	 *			...
-	 *			resolve: ...,
-	 *			customAuthorization: function(query, permissions, route, routeParams){ ... },
-	 *		})
-	 *	2. check for global custom authorization; this is a function defined like:
-	 *		tmixSecurityProvider.setCustomAuthorization(function(query, permissions, route, routeParams){
-	 *			...
-	 *		});
-	 *	3. default authorization; the current route is checked against an array of routes in permissions:
-	 *		// assume we are in '/some-route' the permissions object is ['/', '/some-route', ...]
-	 *		tmixSecurityProvider.isAuthorized() === true;
-	 *	4. xpath-like search through the permissions object
-	 *		// assume permissions like {GET: {route: [1, 2, 3]}}
-	 *		tmixSecurityProvider.isAuthorized('GET/route/1') === true;
-	 *		tmixSecurityProvider.isAuthorized('GET#route#1', '#') === true;
-	 *	5. pass in a function:
-	 *		tmixSecurityProvider.isAuthorized(function(query, permissions, route, routeParams){
-	 *			...
-	 *		});
-	 *		
-	 * @param {string} queryString
+	 * Determine whether a route is authorized before it is entered, by the
+	 * route guard or by resolving authorizeOrRedirect
+	 * @param {string} routePath
 	 * @returns {boolean}
 	 */
-	var isAuthorized = function (query, routePath) {
-		routePath = routePath || getCurrentRoutePath();
+	var isSecured = function (routePath) {
 		var route = getRoute(routePath);
-		var routeParams = injects.$route.current.params;
-		var permissions = getPermissionsSync(routePath) || {};
-		// 1. check for custom route authorization
-		if (hasCustomRouteAuthorization(routePath)) {
-			log('Authorizing with a custom route function.');
-			var method = getCustomRouteAuthorization();
-			return !!method(query, permissions, route, routeParams);
-		}
-		// 2. check for custom authorization function
-		else if (hasCustomAuthorization()) {
-			log('Authorizing with a custom function.');
-			var method = getCustomAuthorization();
-			return !!method(query, permissions, route, routeParams);
-		}
-		// 3. default authorization: check for a route, 'page/2', in a permissions array, ['page/2', 'page/3', ...]
-		else if (typeof query === 'string' && permissions instanceof Array) {
-			log('Default authorization: looking for a route in a permissions array.');
-			return permissions.indexOf(query) !== -1;
-		}
-		// 4. xpath-like search with a string on a permissions object
-		else if (typeof query === 'string') {
-			log('Looking for the given query in a permissions object.');
-			return findIn(query, permissions);
-		}
-		// 5. just use a function...
-		else if (typeof query === 'function') {
-			log('Default authorization: looking for a route in a permissions array.');
-			return !!query(query, permissions, route, routeParams);
+		return isGuarded(route, routePath) || resolvesWithAuthorizeOrRedirect(route);
+	};
+
+	/**
+	 * Determine whether a route resolves with authorizeOrRedirect, either as
+	 * its whole 'resolve' or as one of its keys
+	 * @param {object} route
+	 * @returns {boolean}
+	 */
+	var resolvesWithAuthorizeOrRedirect = function (route) {
+		if (route.resolve === authorizeOrRedirectResolve) {
+			return true;
 		}
-		else {
-			log('No authorization method found; using default access.');
-			return getDefaultAccess();
+		if (angular.isObject(route.resolve)) {
+			for (var key in route.resolve) {
+				if (route.resolve[key] === authorizeOrRedirectResolve) {
+					return true;
+				}
+			}
 		}
+		return false;
 	};
 
+	/**
+	 * Add a route's access denied route to the audit report if it is missing or guarded
+	 * @param {string} routePath
+	 * @param {object} report
+	 * @returns {undefined}
+	 */
+	var auditDeniedRoute = function (routePath, report) {
+		var deniedRoute = getRouteProperty(routePath, 'deniedRoute');
+		if (typeof deniedRoute === 'function') {
+			return; // only known at runtime
+		}
+		deniedRoute = deniedRoute || defaultDeniedRoute || injects.router.deniedRoute;
+		if (!routeExists(deniedRoute)) {
+			report.deniedRoutes.push({routePath: routePath, deniedRoute: deniedRoute, problem: 'missing'});
+		}
+		else if (isSecured(deniedRoute)) {
+			report.deniedRoutes.push({routePath: routePath, deniedRoute: deniedRoute, problem: 'guarded'});
+		}
+	};
 
 	/**
-	 * Find a query like 'path/2/22' in a permissions object
-	 * @param {string} query
-	 * @param {object} object
-	 * @param {string} optionally specify a delimiter
-	 * @returns {Boolean}
+	 * Add a route's permission URLs to the audit report if they have
+	 * placeholders that the route's parameters never fill
+	 * @param {string} routePath
+	 * @param {object} report
+	 * @returns {undefined}
 	 */
-	var findIn = function (query, object, delimiter) {
-		var cursor = object;
-		var splitQueryString = query.split(delimiter || '/');
-		for (var i in splitQueryString) {
-			var token = splitQueryString[i];
-			// is the token a property name?
-			if (typeof cursor[token] !== 'undefined') {
-				cursor = cursor[token];
+	var auditPermissionsUrls = function (routePath, report) {
+		var paramNames = injects.router.getParamNames ? injects.router.getParamNames(routePath) : [];
+		var sources = getPermissionsSources(routePath);
+		for (var i = 0; i < sources.length; i++) {
+			if (typeof sources[i] !== 'string') {
+				continue;
 			}
-			// or is it in an array?
-			else if (cursor instanceof Array && cursor.indexOf(token) !== -1) {
-				cursor = cursor[cursor.indexOf(token)];
-			}
-			// not found...
-			else {
-				cursor = null;
-				break;
+			var missing = [];
+			sources[i].replace(/:([A-Za-z_]\w*)/g, function (placeholder, name) {
+				if (paramNames.indexOf(name) === -1) {
+					missing.push(name);
+				}
+			});
+			if (missing.length) {
+				report.unreachablePermissions.push({routePath: routePath, url: sources[i], missingParams: missing});
 			}
 		}
-		return !!cursor ? true : false;
 	};
 
 
+	/** ROUTE INHERITANCE **/
+
 	/**
-	 * Set a custom authorization method; this is made public, unlike 
-	 * the internal hasCustomAuthorization() and getCustomAuthorization()
-	 * @param {function} callbackFunction
+	 * Turn route inheritance on or off: when on, a route without 'permissions',
+	 * 'customAuthorization' or 'deniedRoute' inherits them from its closest
+	 * ancestor route, e.g. '/admin/users/:id' from '/admin/users' or else
+	 * '/admin' (or, with ui-router, 'admin.users' from 'admin'); the root
+	 * route '/' is not an ancestor, see setDefaultPermissions() instead. Off
+	 * by default.
+	 * @param {boolean} onOrOff
 	 * @returns {undefined}
 	 */
-	var setCustomAuthorization = function (callbackFunction) {
-		customAuthorization = callbackFunction;
-	};
-	var hasCustomAuthorization = function () {
-		return (typeof customAuthorization === 'function');
+	var setRouteInheritance = function (onOrOff) {
+		routeInheritance = !!onOrOff;
 	};
-	var getCustomAuthorization = function () {
-		if (!hasCustomAuthorization()) {
-			throw new Error('CustomAuthorization is not a function; use setCustomAuthorization(yourAuthorizationFunction)');
-		}
-		return customAuthorization;
-	};
-	var customAuthorization;
-
+	var routeInheritance = false;
 
 	/**
-	 * 
-	 * @param {object} route
-	 * @returns {boolean}
+	 * Return the path of the route that declares a property for the given
+	 * route: the route itself or, with inheritance on, its closest ancestor
+	 * @param {string} routePath
+	 * @param {string} property
+	 * @returns {string|undefined}
 	 */
-	var hasCustomRouteAuthorization = function (routePath) {
-		var route = getRoute(routePath);
-		return (routePath && typeof route.customAuthorization === 'function');
-	};
-	var getCustomRouteAuthorization = function (routePath) {
-		routePath = routePath || getCurrentRoutePath();
-		if (!hasCustomRouteAuthorization(routePath)) {
-			throw new Error("The 'customAuthorization' property is not set to a function on: " + routePath);
+	var getDeclaringRoutePath = function (routePath, property) {
+		var path = routePath;
+		while (path) {
+			var route = injects.router.getRoute(path);
+			if (route && route[property]) {
+				if (path !== routePath) {
+					log('Inheriting ' + property + ' from ' + path + ' for route: ' + routePath);
+				}
+				return path;
+			}
+			path = routeInheritance ? getParentRoutePath(path) : undefined;
 		}
-		return getRoute(routePath).customAuthorization;
+		return undefined;
 	};
 
+	/**
+	 * Return a route property, inherited if necessary (see getDeclaringRoutePath())
+	 * @param {string} routePath
+	 * @param {string} property
+	 * @returns {*}
+	 */
+	var getRouteProperty = function (routePath, property) {
+		var declaringPath = getDeclaringRoutePath(routePath, property);
+		return declaringPath ? getRoute(declaringPath)[property] : undefined;
+	};
 
 	/**
-	 * Set the default access: true will allow by default, false will deny by
-	 * default. If no access is set, the provider denies by default.
-	 * @param {boolean} allowOrDeny
-	 * @returns {undefined}
+	 * Return the parent of a route path, as the router sees it (see the
+	 * adapters' getParentRoutePath()), or undefined at the top
+	 * @param {string} routePath
+	 * @returns {string|undefined}
 	 */
-	var setDefaultAccess = function (allowOrDeny) {
-		defaultAccess = !!allowOrDeny;
+	var getParentRoutePath = function (routePath) {
+		return injects.router.getParentRoutePath ? injects.router.getParentRoutePath(routePath) : cutRoutePath(routePath, '/');
 	};
+
 	/**
-	 * Get the default access: true if the provider will allow by default, false
-	 * if the provider will deny by default.
-	 * @returns {allowOrDeny|Boolean}
+	 * Cut the last part off a route path, e.g. '/admin/users/:id' to
+	 * '/admin/users' with '/' or 'admin.users' to 'admin' with '.'; undefined
+	 * at the top
+	 * @param {string} routePath
+	 * @param {string} separator
+	 * @returns {string|undefined}
 	 */
-	var getDefaultAccess = function () {
-		return defaultAccess;
+	var cutRoutePath = function (routePath, separator) {
+		var index = routePath.lastIndexOf(separator);
+		return (index > 0) ? routePath.substring(0, index) : undefined;
 	};
-	var defaultAccess = false;
 
 
+	/** ROUTER ADAPTERS **/
+
+	/**
+	 * Adapters between tmixSecurity and a router; each is an injectable
+	 * function returning an object with:
+	 *	- deniedRoute: the default access denied route
+	 *	- getRoute(routePath): the route definition (where 'permissions',
+	 *	  'customAuthorization', 'deniedRoute', etc. are declared) or undefined
+	 *	- getCurrentRoutePath(): the current route, like '/path/:id'
+	 *	- getCurrentParams(): the current route parameters
+	 *	- getCurrentPath(): the current path, like '/path/3'
+	 *	- getCurrentUrl(): optionally, the current path with its search params, like '/path/3?tab=2'
+	 *	- getRoutes(): optionally, every route path (used by audit())
+	 *	- getParamNames(routePath): optionally, the names of a route's parameters (used by audit())
+	 *	- matchPath(path): optionally, the route matching a concrete path like '/path/3' and
+	 *	  its parameters, like {routePath: '/path/:id', params: {id: '3'}}, or undefined
+	 *	- isChanging(): optionally, true while navigating to another route (used by
+	 *	  re-validation, see setRevalidation())
+	 *	- getParentRoutePath(routePath): optionally, the parent route (used by route
+	 *	  inheritance, see setRouteInheritance()) or undefined; '/path/:id' has '/path'
+	 *	  by default
+	 *	- go(routePath): navigate to a route, replacing the current history
+	 *	- guard(guardRoute): call guardRoute(route, routePath, path, routeParams, url)
+	 *	  when navigation starts and, if it returns a promise, wait for it before
+	 *	  entering the route (redirecting to the route it resolves to, if any, or
+	 *	  staying put if it resolves to false)
+	 * @type object
+	 */
+	var routers = {
+		ngRoute: ['$route', '$location', '$rootScope', '$q', function ($route, $location, $rootScope, $q) {
+				// the $routeChangeStart event of a route change in progress
+				var change;
+				$rootScope.$on('$routeChangeStart', function (event) {
+					change = event;
+				});
+				$rootScope.$on('$routeChangeSuccess', function () {
+					change = undefined;
+				});
+				$rootScope.$on('$routeChangeError', function () {
+					change = undefined;
+				});
+				var router = {
+					deniedRoute: '/forbidden',
+					getRoute: function (routePath) {
+						return $route.routes[routePath];
+					},
+					getRoutes: function () {
+						return Object.keys($route.routes).filter(function (routePath) {
+							return routePath !== 'null'; // the otherwise() route
+						});
+					},
+					getParamNames: function (routePath) {
+						return (routePath.match(/:\w+/g) || []).map(function (key) {
+							return key.substring(1);
+						});
+					},
+					matchPath: function (path) {
+						var routePaths = router.getRoutes();
+						for (var i = 0; i < routePaths.length; i++) {
+							var route = $route.routes[routePaths[i]];
+							// $routeProvider adds the regexp and keys
+							if (route.redirectTo || !route.regexp) {
+								continue;
+							}
+							var match = route.regexp.exec(path);
+							if (match) {
+								var params = {};
+								for (var j = 1; j < match.length; j++) {
+									if (route.keys[j - 1] && match[j]) {
+										params[route.keys[j - 1].name] = match[j];
+									}
+								}
+								return {routePath: routePaths[i], params: params};
+							}
+						}
+						return undefined;
+					},
+					getParentRoutePath: function (routePath) {
+						return cutRoutePath(routePath, '/');
+					},
+					isChanging: function () {
+						return !!change && !change.defaultPrevented; // a prevented change never completes
+					},
+					getCurrentRoutePath: function () {
+						return $route.current && $route.current.$$route && $route.current.$$route.originalPath;
+					},
+					getCurrentParams: function () {
+						return $route.current && $route.current.params;
+					},
+					getCurrentPath: function () {
+						return $location.path();
+					},
+					getCurrentUrl: function () {
+						return $location.url();
+					},
+					go: function (routePath) {
+						$location.path(routePath);
+						$location.replace(); // replaces current history so browser back works, see https://docs.angularjs.org/api/ng/service/$location
+					},
+					guard: function (guardRoute) {
+						// adds the guard to the resolve of the route being navigated to (for
+						// this navigation only) so that the route does not render until authorized
+						$rootScope.$on('$routeChangeStart', function (event, next) {
+							var guarded = next && next.$$route && guardRoute(next.$$route, next.$$route.originalPath, $location.path(), next.params, $location.url());
+							if (guarded) {
+								next.resolve = angular.extend({}, next.resolve, {
+									tmixSecurityAuthorized: function () {
+										return guarded.then(function (deniedRoute) {
+											if (deniedRoute) {
+												router.go(deniedRoute);
+												return $q.reject(false);
+											}
+											if (deniedRoute === false) {
+												return $q.reject(false);
+											}
+											return true;
+										});
+									}
+								});
+							}
+						});
+					}
+				};
+				return router;
+			}],
+		uiRouter: ['$state', '$transitions', '$location', function ($state, $transitions, $location) {
+				// $state.href() may prefix the path with the hash (and hash prefix)
+				var toPath = function (href) {
+					return href ? href.replace(/^#!?/, '') : href;
+				};
+				var router = {
+					deniedRoute: 'forbidden',
+					getRoute: function (stateName) {
+						return $state.get(stateName) || undefined;
+					},
+					getRoutes: function () {
+						return $state.get().map(function (state) {
+							return state.name;
+						}).filter(function (stateName) {
+							return stateName !== ''; // the root state
+						});
+					},
+					getParamNames: function (stateName) {
+						var state = $state.get(stateName);
+						// with ui-router's internal state, include the parameters of parent states
+						if (typeof state.$$state === 'function') {
+							return Object.keys(state.$$state().params);
+						}
+						var names = [];
+						(state.url || '').replace(/[:{]([A-Za-z_]\w*)|[?&]([A-Za-z_]\w*)/g, function (match, pathName, queryName) {
+							names.push(pathName || queryName);
+						});
+						return names;
+					},
+					matchPath: function (path) {
+						var states = $state.get();
+						for (var i = 0; i < states.length; i++) {
+							// the URL matcher is only available on ui-router's internal state
+							var internal = (typeof states[i].$$state === 'function') && states[i].$$state();
+							var params = internal && internal.url && internal.url.exec(path);
+							if (params) {
+								return {routePath: states[i].name, params: params};
+							}
+						}
+						return undefined;
+					},
+					getParentRoutePath: function (stateName) {
+						return cutRoutePath(stateName, '.');
+					},
+					isChanging: function () {
+						return !!$state.transition;
+					},
+					getCurrentRoutePath: function () {
+						return $state.current.name;
+					},
+					getCurrentParams: function () {
+						return $state.params;
+					},
+					getCurrentPath: function () {
+						return $location.path();
+					},
+					getCurrentUrl: function () {
+						return $location.url();
+					},
+					go: function (stateName) {
+						$state.go(stateName, {}, {location: 'replace'});
+					},
+					guard: function (guardRoute) {
+						$transitions.onStart({}, function (transition) {
+							var state = transition.to();
+							var params = transition.params();
+							var url = toPath($state.href(state.name, params));
+							var guarded = guardRoute(state, state.name, url && url.split('?')[0], params, url);
+							if (guarded) {
+								return guarded.then(function (deniedState) {
+									if (deniedState) {
+										return $state.target(deniedState, {}, {location: 'replace'});
+									}
+									return deniedState === false ? false : undefined; // false cancels the transition
+								});
+							}
+						});
+					}
+				};
+				return router;
+			}]
+	};
+
 	/**
-	 * Return the access denied route for redirecting unauthenticated users.
-	 * To customize, set the 'sendUnauthenticatedTo' in the route configuration;
-	 * by default it redirects to '/forbidden'. E.g.:
+	 * Choose the router that holds the route definitions: 'ngRoute' (the
+	 * default), 'uiRouter' or a custom adapter (see the adapters above). With
+	 * ui-router, route paths are state names and 'permissions',
+	 * 'customAuthorization' and 'deniedRoute' are declared on the states. E.g.:
 	 * 
-	 * .when('/some/:someField/an-action', {
+	 * tmixSecurityProvider.setRouter('uiRouter');
+	 * $stateProvider.state('edit', {
+	 *		url: '/edit/:id',
 	 *		...
-	 *		deniedRoute: '/custom-access-denied-route' // without this, default to '/forbidden'
-	 * }
+	 *		permissions: 'http://example.com/my-roles',
+	 *		deniedRoute: 'forbidden' // a state name
+	 * });
 	 * 
-	 * @param {string} route
-	 * @returns {String}
+	 * @param {string|array|function} nameOrAdapter
+	 * @returns {undefined}
 	 */
-	var getAccessDeniedRouteFor = function (routePath) {
-		var route = getRoute(routePath || getCurrentRoutePath());
-		if (route.deniedRoute) {
-			log('Found an access denied route to: ' + route.deniedRoute);
-			return route.deniedRoute;
+	var setRouter = function (nameOrAdapter) {
+		if (typeof nameOrAdapter === 'string' && !routers[nameOrAdapter]) {
+			throw new Error('Unknown router: ' + nameOrAdapter + "; use 'ngRoute', 'uiRouter' or a custom adapter");
 		}
-		return '/forbidden'; // default redirect route
+		router = nameOrAdapter;
 	};
+	var router = 'ngRoute';
 
 	/**
-	 * 
-	 * @param {string} deniedRoute
-	 * @param {string} routePath
-	 * @returns {string}
+	 * Determine whether the services the chosen router adapter needs exist,
+	 * e.g. $route for 'ngRoute'; see the run block below
+	 * @param {$injector} $injector
+	 * @returns {boolean}
 	 */
-	var setAccessDeniedRouteFor = function (deniedRoute, routePath) {
-		var route = getRoute(routePath || getCurrentRoutePath());
-		if (!injects.$route.routes[route]) {
-			throw new Error('Could not get an access denied route on an unknown route: ' + route);
+	var isRouterAvailable = function ($injector) {
+		var dependencies = $injector.annotate(typeof router === 'string' ? routers[router] : router);
+		for (var i = 0; i < dependencies.length; i++) {
+			if (!$injector.has(dependencies[i])) {
+				return false;
+			}
 		}
-		route.deniedRoute = deniedRoute;
+		return true;
 	};
 
 
 	/** CONVENIENCE METHODS **/
 
 	/**
-	 * Return the current route string like '/path/:id'
+	 * Return the current route string like '/path/:id' (or the state name with ui-router)
 	 * @returns {string}
 	 */
 	var getCurrentRoutePath = function () {
-		return injects.$route.current.$$route.originalPath;
+		return injects.router.getCurrentRoutePath();
+	};
+
+	/**
+	 * Return the current path with its search params, like '/path/3?tab=2'
+	 * @returns {string}
+	 */
+	var getCurrentUrl = function () {
+		return injects.router.getCurrentUrl ? injects.router.getCurrentUrl() : injects.router.getCurrentPath();
 	};
 
 	/**
@@ -453,19 +2842,43 @@ angular.module('tmix').provider('tmixSecurity', function () {
 	 * @returns {boolean}
 	 */
 	var routeExists = function (route) {
-		return !!injects.$route.routes[route];
+		return !!injects.router.getRoute(route);
 	};
 
 	/**
 	 * Convenience method to return the route object for a given routePath
+	 * (or a concrete path, see resolveRoutePath())
 	 * @param {string} routePath
-	 * @returns {injects.$route.routes}
+	 * @returns {object}
 	 */
 	var getRoute = function (routePath) {
+		routePath = resolveRoutePath(routePath).routePath;
 		if (!routeExists(routePath)) {
 			throw new Error('Could not find route: ' + routePath);
 		}
-		return injects.$route.routes[routePath];
+		return injects.router.getRoute(routePath);
+	};
+
+	/**
+	 * Resolve a concrete path like '/page/3' to its route, like '/page/:id',
+	 * and the parameters extracted from it (unless routeParams are given);
+	 * route paths are returned as they are. E.g.:
+	 * 
+	 * tmixSecurity.isAuthorized('canEdit/:id', '/page/3'); // routeParams are {id: '3'}
+	 * 
+	 * @param {string} routePath
+	 * @param {object} routeParams
+	 * @returns {object} like {routePath: '/page/:id', routeParams: {id: '3'}}
+	 */
+	var resolveRoutePath = function (routePath, routeParams) {
+		if (routePath && !routeExists(routePath) && injects.router.matchPath) {
+			var match = injects.router.matchPath(routePath);
+			if (match) {
+				log('Matched the path ' + routePath + ' to the route: ' + match.routePath);
+				return {routePath: match.routePath, routeParams: routeParams || match.params};
+			}
+		}
+		return {routePath: routePath, routeParams: routeParams};
 	};
 
 	/**
@@ -474,11 +2887,29 @@ angular.module('tmix').provider('tmixSecurity', function () {
 	 * @returns {undefined}
 	 */
 	var log = function (message) {
-		if (debug) {
-			console.log('[tmixSecurityProvider] ' + message);
+		if (debug && !muted) {
+			logger('[tmixSecurityProvider] ' + message);
 		}
 	};
 	var debug = false;
+	var muted = false; // while explaining a decision
+	var logger = function (message) {
+		console.log(message);
+	};
+
+	/**
+	 * Send debugging messages (see turnOnDebugging()) somewhere other than the
+	 * console, e.g. to $log:
+	 *		tmixSecurityProvider.setLogger(function (message) { ... });
+	 * @param {function} fn called with each message
+	 * @returns {undefined}
+	 */
+	var setLogger = function (fn) {
+		if (typeof fn !== 'function') {
+			throw new Error('The logger must be a function.');
+		}
+		logger = fn;
+	};
 	var turnOffDebugging = function () {
 		debug = false;
 	};
@@ -486,36 +2917,120 @@ angular.module('tmix').provider('tmixSecurity', function () {
 		debug = true;
 	};
 
+	/**
+	 * Broadcast a 'tmixSecurity:...' event on the $rootScope; directives use
+	 * these to re-evaluate when permissions change. Events:
+	 *	- permissionsChanged: permissions were set, cleared or retrieved with
+	 *	  different values, like {url}, {routePath} or {defaultPermissions: true}
+	 *	- permissionsLoaded: permissions were retrieved, like {url, permissions}
+	 *	- denied: a route was denied, like {routePath, path, redirectTo}
+	 *	- redirectLoop: see followRedirect()
+	 *	- logout: see logout()
+	 *	- tokenExpired: see setPermissionsToken()
+	 *	- impersonationStarted, impersonationStopped: see impersonate()
+	 * Nothing is broadcast before the service is created (e.g. in .config()).
+	 * @param {string} eventName
+	 * @param {object} data
+	 * @returns {undefined}
+	 */
+	var announce = function (eventName, data) {
+		if (injects.$rootScope) {
+			injects.$rootScope.$broadcast('tmixSecurity:' + eventName, data);
+		}
+	};
+
+	/**
+	 * Route resolve for securing a route, see authorizeOrRedirect()
+	 * @type array
+	 */
+	var authorizeOrRedirectResolve = ['tmixSecurity', function (tmixSecurity) {
+			tmixSecurity.authorizeOrRedirect();
+		}];
+
 	/**
 	 * Runs when this provider is resolved in .config(); if this isn't run,
-	 * all of the injects ($route, $q, etc.) won't be available and errors
+	 * all of the injects (router, $q, etc.) won't be available and errors
 	 * will ensue.
 	 */
 	var $get = [
-		'$route', '$cacheFactory', '$q', '$location', '$http',
-		function ($route, $cacheFactory, $q, $location, $http) {
+		'$injector', '$cacheFactory', '$q', '$location', '$http', '$rootScope', '$window', '$timeout', '$log', '$interval',
+		function ($injector, $cacheFactory, $q, $location, $http, $rootScope, $window, $timeout, $log, $interval) {
 			// load injects 
-			injects.$route = $route;
+			injects.router = $injector.invoke(typeof router === 'string' ? routers[router] : router);
 			injects.$cacheFactory = $cacheFactory;
 			injects.$q = $q;
 			injects.$location = $location;
 			injects.$http = $http;
+			injects.$rootScope = $rootScope;
+			injects.$window = $window;
+			injects.$timeout = $timeout;
+			injects.$log = $log;
+			injects.$interval = $interval;
 			// setup the cache
-			permissionsCache = injects.$cacheFactory('permissionsCache');
+			permissionsCache = createPermissionsCache(injects.$cacheFactory('permissionsCache'));
+			// listen for route changes; see setRouteGuard()
+			injects.router.guard(guardRoute);
+			// re-validate the current route when permissions change; see setRevalidation()
+			$rootScope.$on('tmixSecurity:permissionsChanged', revalidateCurrentRoute);
+			startPolling();
+			openTabSync();
 			// return the public API after 'resolve'
 			return {
 				authorizeOrRedirect: authorizeOrRedirect,
+				audit: audit,
+				can: can,
 				clearPermissionsCache: clearPermissionsCache,
+				definePolicy: definePolicy,
+				explain: explain,
 				findIn: findIn,
+				getDecisions: getDecisions,
+				getImpersonation: getImpersonation,
 				getPermissions: getPermissions,
 				getPermissionsSync: getPermissionsSync,
 				getPermissionsFromRoute: getPermissionsFromRoute,
+				getReturnTo: getReturnTo,
+				getUserIdentity: getUserIdentity,
+				hasAllRoles: hasAllRoles,
+				hasAnyRole: hasAnyRole,
+				hasRole: hasRole,
+				impersonate: impersonate,
 				isAuthorized: isAuthorized,
+				isAuthorizedAll: isAuthorizedAll,
+				isAuthorizedAny: isAuthorizedAny,
+				isAuthorizedAsync: isAuthorizedAsync,
+				logout: logout,
+				redirectBack: redirectBack,
 				setPermissions: setPermissions,
+				setPermissionsFailurePolicy: setPermissionsFailurePolicy,
+				setPermissionsLayering: setPermissionsLayering,
+				setPermissionsPolling: setPermissionsPolling,
+				setPermissionsRetries: setPermissionsRetries,
+				setPermissionsRequest: setPermissionsRequest,
+				setPermissionsStorage: setPermissionsStorage,
+				setPermissionsToken: setPermissionsToken,
+				setPermissionsTransform: setPermissionsTransform,
+				setPermissionsTtl: setPermissionsTtl,
+				setRedirectLoopRoute: setRedirectLoopRoute,
+				setRevalidation: setRevalidation,
 				setAccessDeniedRouteFor: setAccessDeniedRouteFor,
+				setDecisionSink: setDecisionSink,
+				setDefaultDeniedRoute: setDefaultDeniedRoute,
 				setDefaultPermissions: setDefaultPermissions,
 				setCustomAuthorization: setCustomAuthorization,
 				setDefaultAccess: setDefaultAccess,
+				setHttpInterceptor: setHttpInterceptor,
+				setHttpInterceptorIgnore: setHttpInterceptorIgnore,
+				setLogger: setLogger,
+				setLoginRoute: setLoginRoute,
+				setRoles: setRoles,
+				setRolesSource: setRolesSource,
+				setRouteGuard: setRouteGuard,
+				setRouteInheritance: setRouteInheritance,
+				setTabSync: setTabSync,
+				setTokenCoercion: setTokenCoercion,
+				setUser: setUser,
+				setUserIdentity: setUserIdentity,
+				stopImpersonating: stopImpersonating,
 				turnOnDebugging: turnOnDebugging,
 				turnOffDebugging: turnOffDebugging
 			};
@@ -529,13 +3044,150 @@ angular.module('tmix').provider('tmixSecurity', function () {
 	 */
 	return {
 		$get: $get,
-		authorizeOrRedirect: ['tmixSecurity', function (tmixSecurity) {
-				tmixSecurity.authorizeOrRedirect();
-			}],
+		authorizeOrRedirect: authorizeOrRedirectResolve,
+		definePolicy: definePolicy,
+		isRouterAvailable: isRouterAvailable,
+		setDecisionSink: setDecisionSink,
+		setDefaultDeniedRoute: setDefaultDeniedRoute,
 		setDefaultPermissions: setDefaultPermissions,
 		setCustomAuthorization: setCustomAuthorization,
 		setDefaultAccess: setDefaultAccess,
+		setHttpInterceptor: setHttpInterceptor,
+		setHttpInterceptorIgnore: setHttpInterceptorIgnore,
+		setLogger: setLogger,
+		setLoginRoute: setLoginRoute,
+		setPermissionsFailurePolicy: setPermissionsFailurePolicy,
+		setPermissionsLayering: setPermissionsLayering,
+		setPermissionsPolling: setPermissionsPolling,
+		setPermissionsRetries: setPermissionsRetries,
+		setPermissionsRequest: setPermissionsRequest,
+		setPermissionsStorage: setPermissionsStorage,
+		setPermissionsToken: setPermissionsToken,
+		setPermissionsTransform: setPermissionsTransform,
+		setPermissionsTtl: setPermissionsTtl,
+		setRedirectLoopRoute: setRedirectLoopRoute,
+		setRevalidation: setRevalidation,
+		setRoles: setRoles,
+		setRolesSource: setRolesSource,
+		setRouteGuard: setRouteGuard,
+		setRouteInheritance: setRouteInheritance,
+		setRouter: setRouter,
+		setTabSync: setTabSync,
+		setTokenCoercion: setTokenCoercion,
+		setUser: setUser,
+		setUserIdentity: setUserIdentity,
 		turnOnDebugging: turnOnDebugging,
 		turnOffDebugging: turnOffDebugging
 	};
-});
\ No newline at end of file
+}]);
+
+
+/**
+ * Instantiate tmixSecurity on startup (when the router chosen with setRouter()
+ * is available) so that the route guard can listen for route changes; see
+ * setRouteGuard()
+ */
+(function () {
+	var provider;
+	angular.module('tmix').config(['tmixSecurityProvider', function (tmixSecurityProvider) {
+		provider = tmixSecurityProvider;
+	}]);
+	angular.module('tmix').run(['$injector', function ($injector) {
+		if (provider.isRouterAvailable($injector)) {
+			$injector.get('tmixSecurity');
+		}
+	}]);
+}());
+
+
+/**
+ * tmix-authorize directives: change an element's behavior depending on the
+ * result of tmixSecurity.isAuthorized(); the attribute value is an Angular
+ * expression evaluated as the query. E.g.:
+ * 
+ *	<a tmix-authorize="'GET/reports'">...</a>				<!-- removed from the DOM if unauthorized -->
+ *	<div tmix-authorize-hide="'canView/' + id">...</div>	<!-- hidden (.ng-hide) if unauthorized -->
+ *	<button tmix-authorize-disable="'canEdit/' + id">...</button>	<!-- disabled if unauthorized -->
+ *	
+ * Optionally, query another route's permissions and change the findIn() delimiter:
+ * 
+ *	<button tmix-authorize-disable="'PUT#page#1'" tmix-authorize-route="/other/:id" tmix-authorize-delimiter="#">
+ *	
+ * Each directive re-evaluates when its expression changes and when permissions
+ * are loaded or the permissions cache is cleared. Elements are unauthorized
+ * while there is no route to authorize on (e.g. outside ng-view before the
+ * first route matches) or if authorizing fails.
+ */
+angular.forEach({
+	tmixAuthorize: 'remove',
+	tmixAuthorizeHide: 'hide',
+	tmixAuthorizeDisable: 'disable'
+}, function (mode, directiveName) {
+	angular.module('tmix').directive(directiveName, ['$animate', 'tmixSecurity', function ($animate, tmixSecurity) {
+		return {
+			restrict: 'A',
+			// like ng-if, removing the element requires transcluding it
+			transclude: (mode === 'remove') ? 'element' : false,
+			priority: (mode === 'remove') ? 600 : 0,
+			terminal: (mode === 'remove'),
+			$$tlb: (mode === 'remove'),
+			link: function (scope, element, attrs, controller, $transclude) {
+				var clone, childScope;
+
+				// change the element according to the directive mode
+				var render = function (authorized) {
+					// case: add or remove the transcluded element
+					if (mode === 'remove') {
+						if (authorized && !clone) {
+							$transclude(function (newClone, newScope) {
+								clone = newClone;
+								childScope = newScope;
+								$animate.enter(clone, element.parent(), element);
+							});
+						}
+						else if (!authorized && clone) {
+							$animate.leave(clone);
+							childScope.$destroy();
+							clone = childScope = null;
+						}
+					}
+					// case: toggle visibility
+					else if (mode === 'hide') {
+						$animate[authorized ? 'removeClass' : 'addClass'](element, 'ng-hide');
+					}
+					// case: toggle the disabled attribute
+					else {
+						element.attr('disabled', !authorized);
+					}
+				};
+
+				// authorize with the permissions available now or, if they are not
+				// loaded, render without recording a decision (see explain()) and
+				// authorize once they are
+				var evaluate = function () {
+					var routePath = attrs.tmixAuthorizeRoute || undefined;
+					var delimiter = attrs.tmixAuthorizeDelimiter || undefined;
+					var query = scope.$eval(attrs[directiveName]);
+					// case: no route to authorize on, e.g. in a layout before the first route matches
+					try {
+						if (typeof tmixSecurity.getPermissionsSync(routePath) !== 'undefined') {
+							render(tmixSecurity.isAuthorized(query, routePath, delimiter));
+							return;
+						}
+						render(tmixSecurity.explain(query, routePath, delimiter).result);
+					}
+					catch (err) {
+						render(false);
+						return;
+					}
+					tmixSecurity.isAuthorizedAsync(query, routePath, delimiter).then(render, function () {
+						render(false);
+					});
+				};
+
+				scope.$watch(attrs[directiveName], evaluate);
+				scope.$on('tmixSecurity:permissionsChanged', evaluate);
+			}
+		};
+	}]);
+});